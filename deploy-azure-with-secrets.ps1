@@ -240,6 +240,42 @@ Write-Host "[10/11] Getting Key Vault secret reference..." -ForegroundColor Yell
 $vaultUri = az keyvault show --name $KeyVaultName --query properties.vaultUri -o tsv
 $secretReference = "${vaultUri}secrets/github-token"
 Write-Host "Secret reference: $secretReference" -ForegroundColor Green
+
+# Authentication and CORS settings from .env: API_KEYS and JWT_SECRET are stored in
+# Key Vault like the GitHub token, the others are passed as plain settings
+$containerSecrets = @("github-token-secret=keyvaultref:${secretReference},identityref:${identityId}")
+$containerEnvVars = @("GITHUB_TOKEN=secretref:github-token-secret", "NODE_ENV=production", "PORT=3000")
+$authSecrets = @{ 'API_KEYS' = 'api-keys'; 'JWT_SECRET' = 'jwt-secret' }
+$authSettings = @{}
+if (Test-Path ".env") {
+    foreach ($line in Get-Content ".env") {
+        if ($line -match '^\s*(API_KEYS|JWT_SECRET|OIDC_ISSUER|JWT_AUDIENCE|JWT_USER_CLAIM|AUTH_ADMINS|CORS_ORIGINS)=(.*)$') {
+            $value = $Matches[2].Trim() -replace '^["'']|["'']$', ''
+            if ($value) {
+                $authSettings[$Matches[1]] = $value
+            }
+        }
+    }
+}
+foreach ($key in $authSettings.Keys) {
+    if ($authSecrets.ContainsKey($key)) {
+        $secretName = $authSecrets[$key]
+        az keyvault secret set `
+            --vault-name $KeyVaultName `
+            --name $secretName `
+            --value $authSettings[$key] `
+            --output none
+        $containerSecrets += "${secretName}-secret=keyvaultref:${vaultUri}secrets/${secretName},identityref:${identityId}"
+        $containerEnvVars += "${key}=secretref:${secretName}-secret"
+    } else {
+        $containerEnvVars += "${key}=$($authSettings[$key])"
+    }
+}
+if ($authSettings['API_KEYS'] -or $authSettings['JWT_SECRET'] -or $authSettings['OIDC_ISSUER']) {
+    Write-Host "Authentication settings: $($authSettings.Keys -join ', ')" -ForegroundColor Green
+} else {
+    Write-Host "WARNING: no API_KEYS, JWT_SECRET or OIDC_ISSUER in .env; the API will be open to anyone" -ForegroundColor Red
+}
 Write-Host ""
 
 # Step 11: Create Container App with Key Vault reference
@@ -259,8 +295,8 @@ az containerapp create `
     --max-replicas 3 `
     --cpu 0.5 `
     --memory 1.0Gi `
-    --secrets "github-token-secret=keyvaultref:${secretReference},identityref:${identityId}" `
-    --env-vars "GITHUB_TOKEN=secretref:github-token-secret" "NODE_ENV=production" "PORT=3000" `
+    --secrets $containerSecrets `
+    --env-vars $containerEnvVars `
     --output table
 
 Write-Host ""
@@ -287,7 +323,7 @@ Write-Host "Container App: $CONTAINER_APP_NAME" -ForegroundColor Cyan
 Write-Host "Application URL: https://$APP_URL" -ForegroundColor Green
 Write-Host ""
 Write-Host "Security Features:" -ForegroundColor Yellow
-Write-Host "[OK] GitHub credentials stored in Azure Key Vault" -ForegroundColor Green
+Write-Host "[OK] GitHub credentials and API keys stored in Azure Key Vault" -ForegroundColor Green
 Write-Host "[OK] Managed identity for secure access" -ForegroundColor Green
 Write-Host "[OK] No hardcoded secrets in container" -ForegroundColor Green
 Write-Host ""
@@ -1,11 +1,29 @@
 const chatContainer = document.getElementById('chatContainer');
 const promptInput = document.getElementById('promptInput');
 const sendButton = document.getElementById('sendButton');
+const stopButton = document.getElementById('stopButton');
+const sessionList = document.getElementById('sessionList');
 const modelSelect = document.getElementById('modelSelect');
+const presetSelect = document.getElementById('presetSelect');
 const streamToggle = document.getElementById('streamToggle');
+const attachButton = document.getElementById('attachButton');
+const attachmentInput = document.getElementById('attachmentInput');
+const attachmentChips = document.getElementById('attachmentChips');
 
 let isProcessing = false;
 
+const WELCOME_MESSAGE = 'Hello! I\'m GitHub Copilot. How can I help you today?';
+
+// Reconnection to an interrupted stream (replayed from the server's event buffer)
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 1000;
+
+// What the Stop button cancels: the streaming turn on the server, or failing
+// that the pending fetch
+let activeStreamSessionId = null;
+let activeRequestController = null;
+const STOPPED_NOTE = '\n\n⏹ Stopped';
+
 // Session management - each user/browser tab gets their own session
 // Using sessionStorage so each tab has its own session, or localStorage to persist across tabs
 const SESSION_STORAGE_KEY = 'copilot_session_id';
@@ -26,7 +44,48 @@ function clearSession() {
     console.log('Session cleared');
 }
 
-function addMessage(content, role) {
+// API key (or bearer token) for servers with authentication enabled; kept per browser
+const API_KEY_STORAGE_KEY = 'copilot_api_key';
+
+// fetch() with the stored credential; asks for one and retries when the server
+// answers 401
+async function apiFetch(url, options = {}, { retry = true } = {}) {
+    const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+    const headers = { ...(options.headers || {}) };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401 && retry) {
+        const entered = window.prompt(apiKey ? 'API key was rejected. Enter an API key:' : 'This server requires an API key:');
+        if (entered && entered.trim()) {
+            localStorage.setItem(API_KEY_STORAGE_KEY, entered.trim());
+            return apiFetch(url, options, { retry: false });
+        }
+    }
+    return response;
+}
+
+// Download a generated file through apiFetch so the credential is sent along
+async function downloadFile(url, name) {
+    try {
+        const response = await apiFetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const blobUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    } catch (error) {
+        console.error('Could not download file:', error);
+    }
+}
+
+function addMessage(content, role, attachments = []) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}`;
 
@@ -40,6 +99,17 @@ function addMessage(content, role) {
 
     messageDiv.appendChild(labelDiv);
     messageDiv.appendChild(contentDiv);
+    if (attachments.length > 0) {
+        const chipsDiv = document.createElement('div');
+        chipsDiv.className = 'attachment-chips';
+        for (const attachment of attachments) {
+            const chip = document.createElement('span');
+            chip.className = 'attachment-chip';
+            chip.textContent = `📎 ${attachment.name}`;
+            chipsDiv.appendChild(chip);
+        }
+        messageDiv.appendChild(chipsDiv);
+    }
     chatContainer.appendChild(messageDiv);
 
     chatContainer.scrollTop = chatContainer.scrollHeight;
@@ -52,7 +122,7 @@ function updateMessage(contentDiv, text) {
     chatContainer.scrollTop = chatContainer.scrollHeight;
 }
 
-async function sendPromptNonStreaming(prompt, model) {
+async function sendPromptNonStreaming(prompt, model, attachments) {
     // Create message div with loading indicator
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message assistant';
@@ -71,16 +141,21 @@ async function sendPromptNonStreaming(prompt, model) {
     chatContainer.scrollTop = chatContainer.scrollHeight;
 
     try {
-        const response = await fetch('/api/chat', {
+        const response = await apiFetch('/api/chat', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ prompt, model }),
+            // Attachments belong to the current session, so it is sent along with them
+            body: JSON.stringify(attachments.length > 0
+                ? { prompt, model, sessionId: getSessionId(), attachments }
+                : { prompt, model }),
+            signal: activeRequestController.signal,
         });
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP error! status: ${response.status}`);
         }
 
         const data = await response.json();
@@ -92,12 +167,271 @@ async function sendPromptNonStreaming(prompt, model) {
     } catch (error) {
         console.error('Error:', error);
         contentDiv.textContent = '';
-        contentDiv.textContent = `Error: ${error.message}`;
+        contentDiv.textContent = error.name === 'AbortError' ? STOPPED_NOTE.trim() : `Error: ${error.message}`;
         chatContainer.scrollTop = chatContainer.scrollHeight;
     }
 }
 
-async function sendPromptStreaming(prompt, model) {
+// Parse Server-Sent Events out of a fetch() response body.
+// Calls onEvent(type, data, id) for every event; return false from it to stop reading.
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) {
+            console.log('Stream done');
+            return;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line; keep the last incomplete one in the buffer
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop() || '';
+
+        for (const frame of frames) {
+            let type = 'message';
+            let id = null;
+            const dataLines = [];
+
+            for (const line of frame.split('\n')) {
+                // Skip empty lines and comment lines (: prefix)
+                if (!line.trim() || line.startsWith(':')) {
+                    continue;
+                }
+                if (line.startsWith('event: ')) {
+                    type = line.slice(7);
+                } else if (line.startsWith('id: ')) {
+                    id = line.slice(4);
+                } else if (line.startsWith('data: ')) {
+                    dataLines.push(line.slice(6));
+                }
+            }
+
+            if (dataLines.length === 0) {
+                continue;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(dataLines.join('\n'));
+            } catch (parseError) {
+                console.error('Error parsing event data:', parseError, 'Frame:', frame);
+                continue;
+            }
+
+            if (onEvent(type, data, id) === false) {
+                await reader.cancel();
+                return;
+            }
+        }
+    }
+}
+
+// Show a finished tool call's outcome in an element
+function describeToolCall(toolDiv, { toolName, success, error, durationMs, result }) {
+    const duration = durationMs !== null && durationMs !== undefined ? ` (${durationMs} ms)` : '';
+    toolDiv.className = `tool-call ${success ? 'succeeded' : 'failed'}`;
+    toolDiv.title = result || '';
+    toolDiv.textContent = success
+        ? `✓ ${toolName}${duration}`
+        : `✗ ${toolName} failed${duration}${error ? `: ${error}` : ''}`;
+}
+
+// Reasoning, tool calls and files get their own elements next to the answer text
+function createStreamView(messageDiv, contentDiv) {
+    let reasoningDiv = null;
+    const toolsDiv = document.createElement('div');
+    toolsDiv.className = 'tool-calls';
+    messageDiv.insertBefore(toolsDiv, contentDiv);
+
+    const filesDiv = document.createElement('div');
+    filesDiv.className = 'file-links';
+    messageDiv.appendChild(filesDiv);
+
+    const toolCalls = new Map();
+    const approvals = new Map();
+
+    return {
+        addReasoning(text) {
+            if (!reasoningDiv) {
+                const details = document.createElement('details');
+                details.className = 'reasoning';
+                const summary = document.createElement('summary');
+                summary.textContent = 'Thinking';
+                reasoningDiv = document.createElement('div');
+                details.appendChild(summary);
+                details.appendChild(reasoningDiv);
+                messageDiv.insertBefore(details, toolsDiv);
+            }
+            reasoningDiv.textContent += text;
+        },
+
+        startTool({ toolCallId, toolName }) {
+            const toolDiv = document.createElement('div');
+            toolDiv.className = 'tool-call running';
+            toolDiv.textContent = `🔧 ${toolName}…`;
+            toolsDiv.appendChild(toolDiv);
+            toolCalls.set(toolCallId, toolDiv);
+        },
+
+        endTool(toolCall) {
+            let toolDiv = toolCalls.get(toolCall.toolCallId);
+            if (!toolDiv) {
+                toolDiv = document.createElement('div');
+                toolsDiv.appendChild(toolDiv);
+            }
+            describeToolCall(toolDiv, toolCall);
+        },
+
+        // Ask the user about a tool's permission request; the answer goes to the
+        // approvals endpoint and the approval_resolved event closes the prompt
+        addApproval(sessionId, request) {
+            const approvalDiv = document.createElement('div');
+            approvalDiv.className = 'approval';
+
+            const detail = request.command || request.url || request.paths.join(', ');
+            const textDiv = document.createElement('div');
+            textDiv.textContent = `🔐 ${request.toolName} wants permission${detail ? `: ${detail}` : ''}`;
+            approvalDiv.appendChild(textDiv);
+            if (request.intention) {
+                const intentionDiv = document.createElement('div');
+                intentionDiv.className = 'approval-intention';
+                intentionDiv.textContent = request.intention;
+                approvalDiv.appendChild(intentionDiv);
+            }
+            if (request.arguments) {
+                const argsPre = document.createElement('pre');
+                argsPre.textContent = request.arguments.diff || JSON.stringify(request.arguments, null, 2);
+                approvalDiv.appendChild(argsPre);
+            }
+
+            const buttonsDiv = document.createElement('div');
+            buttonsDiv.className = 'approval-buttons';
+            const answer = async (decision) => {
+                for (const button of buttonsDiv.querySelectorAll('button')) {
+                    button.disabled = true;
+                }
+                try {
+                    const response = await apiFetch(`/api/session/${encodeURIComponent(sessionId)}/approvals/${encodeURIComponent(request.requestId)}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ decision }),
+                    });
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+                    }
+                } catch (error) {
+                    console.error('Error answering approval:', error);
+                    textDiv.textContent += ` (could not send answer: ${error.message})`;
+                }
+            };
+            for (const [label, decision] of [['Approve', 'approve'], ['Deny', 'deny']]) {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.className = `approval-${decision}`;
+                button.addEventListener('click', () => answer(decision));
+                buttonsDiv.appendChild(button);
+            }
+            approvalDiv.appendChild(buttonsDiv);
+
+            toolsDiv.appendChild(approvalDiv);
+            approvals.set(request.requestId, { approvalDiv, buttonsDiv });
+        },
+
+        resolveApproval({ requestId, approved, by }) {
+            const approval = approvals.get(requestId);
+            if (!approval) {
+                return;
+            }
+            const reason = by === 'user' ? '' : ` (${by})`;
+            approval.approvalDiv.classList.add(approved ? 'approved' : 'denied');
+            approval.buttonsDiv.textContent = approved ? '✓ Approved' : `✗ Denied${reason}`;
+            approvals.delete(requestId);
+        },
+
+        // Files the turn changed in the session's workspace; the diff is loaded when
+        // the list is opened
+        addChanges(sessionId, { turn, files }) {
+            if (files.length === 0) {
+                return;
+            }
+            const details = document.createElement('details');
+            details.className = 'workspace-changes';
+            const summary = document.createElement('summary');
+            summary.textContent = `📝 ${files.length} file${files.length === 1 ? '' : 's'} changed`;
+            details.appendChild(summary);
+            const list = document.createElement('ul');
+            for (const file of files) {
+                const item = document.createElement('li');
+                item.textContent = `${file.status}: ${file.path}`;
+                list.appendChild(item);
+            }
+            details.appendChild(list);
+            const diffPre = document.createElement('pre');
+            details.appendChild(diffPre);
+            details.addEventListener('toggle', async () => {
+                if (!details.open || diffPre.textContent) {
+                    return;
+                }
+                diffPre.textContent = 'Loading diff…';
+                try {
+                    const response = await apiFetch(`/api/session/${encodeURIComponent(sessionId)}/turns/${turn}/changes?format=diff`);
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    diffPre.textContent = await response.text();
+                } catch (error) {
+                    diffPre.textContent = `Could not load the diff: ${error.message}`;
+                }
+            });
+            filesDiv.appendChild(details);
+        },
+
+        addFile({ name, url }) {
+            const link = document.createElement('a');
+            link.className = 'file-link';
+            link.href = url;
+            link.setAttribute('download', name);
+            link.textContent = `📥 ${name}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                downloadFile(url, name);
+            });
+            filesDiv.appendChild(link);
+        },
+    };
+}
+
+// Replace a streamed answer that has gaps with the session's last stored answer
+async function reloadAnswer(sessionId, contentDiv) {
+    try {
+        const response = await apiFetch(`/api/session/${encodeURIComponent(sessionId)}/messages`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { messages } = await response.json();
+        const answer = messages.filter(message => message.role === 'assistant').pop();
+        if (answer) {
+            contentDiv.textContent = answer.content + (answer.status === 'cancelled' ? STOPPED_NOTE : '');
+        }
+    } catch (error) {
+        console.error('Could not reload the answer:', error);
+    }
+}
+
+// 1st, 2nd, 3rd, 4th, ... 11th, 12th, 13th, ... 21st
+function ordinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+}
+
+async function sendPromptStreaming(prompt, model, attachments) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message assistant';
 
@@ -114,132 +448,355 @@ async function sendPromptStreaming(prompt, model) {
     chatContainer.appendChild(messageDiv);
     chatContainer.scrollTop = chatContainer.scrollHeight;
 
+    const view = createStreamView(messageDiv, contentDiv);
+
     try {
         console.log('Starting stream request...');
         const sessionId = getSessionId();
         console.log('Current session ID:', sessionId);
-        
-        const response = await fetch('/api/chat/stream', {
+
+        let response = await apiFetch('/api/chat/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ prompt, model, sessionId }),
+            // The preset only shapes a new conversation; existing ones keep their settings
+            body: JSON.stringify({ prompt, model: model || undefined, sessionId, presetId: presetSelect.value || undefined, attachments }),
+            signal: activeRequestController.signal,
         });
 
         console.log('Response received, status:', response.status);
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP error! status: ${response.status}`);
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
         let fullResponse = '';
-        let buffer = '';
         let firstChunk = true;
-        console.log('Starting to read stream...');
+        let streamSessionId = null;
+        let lastEventId = null;
+        let finished = false;
+        // Set when a reconnect could not replay every missed event
+        let incomplete = false;
 
-        while (true) {
-            const { done, value } = await reader.read();
+        const handleEvent = (type, data, id) => {
+            if (id !== null) {
+                // Replayed events we already rendered are skipped
+                if (lastEventId !== null && Number(id) <= lastEventId) {
+                    return true;
+                }
+                lastEventId = Number(id);
+            }
 
-            if (done) {
-                console.log('Stream done');
-                break;
+            switch (type) {
+                case 'reset':
+                    incomplete = true;
+                    break;
+                case 'queued':
+                    // The model is busy; show our place in line until the turn starts
+                    contentDiv.innerHTML = '<span class="loading"></span>';
+                    contentDiv.append(`Queued (${ordinal(data.position)} in line)...`);
+                    break;
+                case 'session':
+                    if (firstChunk) {
+                        contentDiv.innerHTML = '<span class="loading"></span>Thinking...';
+                    }
+                    // Save the sessionId for future messages in this conversation
+                    streamSessionId = data.sessionId;
+                    activeStreamSessionId = data.sessionId;
+                    setSessionId(data.sessionId);
+                    break;
+                case 'reasoning':
+                    view.addReasoning(data.content);
+                    break;
+                case 'delta':
+                    // Clear loading indicator on first chunk
+                    if (firstChunk) {
+                        contentDiv.textContent = '';
+                        firstChunk = false;
+                    }
+                    fullResponse += data.content;
+                    contentDiv.textContent = fullResponse;
+                    break;
+                case 'tool_start':
+                    view.startTool(data);
+                    break;
+                case 'tool_end':
+                    view.endTool(data);
+                    break;
+                case 'approval_required':
+                    view.addApproval(streamSessionId, data);
+                    break;
+                case 'approval_resolved':
+                    view.resolveApproval(data);
+                    break;
+                case 'file':
+                    view.addFile(data);
+                    break;
+                case 'changes':
+                    view.addChanges(data.sessionId, data);
+                    break;
+                case 'command':
+                    firstChunk = false;
+                    fullResponse = data.stdout || data.stderr || 'Command executed successfully';
+                    contentDiv.textContent = fullResponse;
+                    break;
+                case 'error':
+                    finished = true;
+                    contentDiv.textContent = `Error: ${data.message}`;
+                    return false;
+                case 'done':
+                    finished = true;
+                    setSessionId(data.sessionId);
+                    if (incomplete) {
+                        // Part of the answer was lost; show the stored one instead
+                        reloadAnswer(data.sessionId, contentDiv);
+                        return false;
+                    }
+                    if (data.status === 'cancelled') {
+                        contentDiv.textContent = fullResponse + STOPPED_NOTE;
+                    } else if (firstChunk) {
+                        contentDiv.textContent = data.status === 'timeout' ? 'No response (timed out).' : '';
+                    }
+                    return false;
             }
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+            return true;
+        };
 
-            // Decode the chunk and add to buffer
-            const chunk = decoder.decode(value, { stream: true });
-            console.log('Received chunk:', chunk.substring(0, 100));
-            buffer += chunk;
+        let reconnectAttempts = 0;
+        while (true) {
+            try {
+                await readEventStream(response, handleEvent);
+            } catch (streamError) {
+                console.warn('Stream interrupted:', streamError);
+            }
 
-            // Split buffer by newlines
-            const lines = buffer.split('\n');
+            if (finished) {
+                break;
+            }
 
-            // Keep the last incomplete line in the buffer
-            buffer = lines.pop() || '';
+            // Stopped before the server knew about the turn: nothing to reconnect to
+            if (activeRequestController.signal.aborted) {
+                contentDiv.textContent = fullResponse + STOPPED_NOTE;
+                break;
+            }
 
-            for (const line of lines) {
-                // Skip empty lines and comment lines (: prefix)
-                if (!line.trim() || line.startsWith(':')) {
-                    continue;
-                }
+            // The connection dropped mid-turn: the server keeps generating, so
+            // reconnect and replay everything after the last event we saw
+            if (!streamSessionId || reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+                throw new Error('Connection to the server was lost');
+            }
+            reconnectAttempts++;
+            labelDiv.textContent = 'Copilot (reconnecting…)';
+            await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS * reconnectAttempts));
 
-                if (line.startsWith('data: ')) {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-
-                        if (data.processing) {
-                            // Ignore processing message, it's just to keep connection alive
-                            continue;
-                        }
-
-                        if (data.error) {
-                            contentDiv.textContent = `Error: ${data.error}`;
-                            return;
-                        }
-
-                        if (data.chunk) {
-                            // Clear loading indicator on first chunk
-                            if (firstChunk) {
-                                contentDiv.textContent = '';
-                                firstChunk = false;
-                            }
-                            fullResponse += data.chunk;
-                            contentDiv.textContent = fullResponse;
-                            chatContainer.scrollTop = chatContainer.scrollHeight;
-                        }
-
-                        if (data.done) {
-                            // Save the sessionId for future messages in this conversation
-                            if (data.sessionId) {
-                                setSessionId(data.sessionId);
-                            }
-                            return;
-                        }
-                    } catch (parseError) {
-                        console.error('Error parsing JSON:', parseError, 'Line:', line);
-                    }
-                }
+            console.log(`Reconnecting to session ${streamSessionId} after event ${lastEventId}`);
+            try {
+                response = await apiFetch(`/api/session/${encodeURIComponent(streamSessionId)}/events`, {
+                    headers: lastEventId !== null ? { 'Last-Event-ID': String(lastEventId) } : {},
+                    signal: activeRequestController.signal,
+                });
+            } catch (fetchError) {
+                console.warn('Reconnect failed:', fetchError);
+                continue;
+            }
+            if (!response.ok) {
+                throw new Error(`Could not reconnect, status: ${response.status}`);
             }
+            labelDiv.textContent = 'Copilot';
         }
     } catch (error) {
         console.error('Error:', error);
-        contentDiv.textContent = `Error: ${error.message}`;
+        contentDiv.textContent = error.name === 'AbortError' ? STOPPED_NOTE.trim() : `Error: ${error.message}`;
         chatContainer.scrollTop = chatContainer.scrollHeight;
     }
 }
 
+// Cancel the running request. Streaming turns are aborted on the server, which
+// then ends the stream with a "cancelled" done event.
+async function stopGeneration() {
+    stopButton.disabled = true;
+
+    if (activeStreamSessionId) {
+        try {
+            const response = await apiFetch(`/api/session/${encodeURIComponent(activeStreamSessionId)}/abort`, {
+                method: 'POST',
+            });
+            if (response.ok) {
+                return;
+            }
+            console.warn('Abort request failed, status:', response.status);
+        } catch (error) {
+            console.error('Error aborting session:', error);
+        }
+    }
+
+    activeRequestController?.abort();
+}
+
+// Files attached to the next prompt: { id, name, size } once uploaded,
+// { name, uploading: true } or { name, error } before that
+let pendingAttachments = [];
+
+function renderAttachmentChips() {
+    attachmentChips.innerHTML = '';
+    for (const attachment of pendingAttachments) {
+        const chip = document.createElement('span');
+        chip.className = `attachment-chip${attachment.uploading ? ' uploading' : ''}${attachment.error ? ' failed' : ''}`;
+        chip.textContent = attachment.error
+            ? `✗ ${attachment.name}: ${attachment.error}`
+            : `📎 ${attachment.name}${attachment.uploading ? '…' : ''}`;
+        if (!attachment.uploading) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'attachment-remove';
+            removeButton.title = 'Remove';
+            removeButton.textContent = '✕';
+            removeButton.addEventListener('click', () => removeAttachment(attachment));
+            chip.appendChild(removeButton);
+        }
+        attachmentChips.appendChild(chip);
+    }
+    attachmentChips.hidden = pendingAttachments.length === 0;
+}
+
+function clearAttachments() {
+    pendingAttachments = [];
+    renderAttachmentChips();
+}
+
+// Attachments are stored per session, so a new conversation is created before
+// its first upload
+async function ensureSession() {
+    const existing = getSessionId();
+    if (existing) {
+        return existing;
+    }
+    const response = await apiFetch('/api/session/create', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: modelSelect.value || undefined, presetId: presetSelect.value || undefined }),
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    const { sessionId } = await response.json();
+    setSessionId(sessionId);
+    return sessionId;
+}
+
+async function uploadAttachment(file) {
+    const attachment = { name: file.name, uploading: true };
+    pendingAttachments.push(attachment);
+    renderAttachmentChips();
+    try {
+        const sessionId = await ensureSession();
+        const response = await apiFetch(`/api/session/${encodeURIComponent(sessionId)}/attachments?name=${encodeURIComponent(file.name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file,
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        Object.assign(attachment, data, { uploading: false });
+    } catch (error) {
+        console.error('Could not upload attachment:', error);
+        Object.assign(attachment, { uploading: false, error: error.message });
+    }
+    renderAttachmentChips();
+}
+
+async function removeAttachment(attachment) {
+    pendingAttachments = pendingAttachments.filter(item => item !== attachment);
+    renderAttachmentChips();
+    const sessionId = getSessionId();
+    if (attachment.id && sessionId) {
+        try {
+            await apiFetch(`/api/session/${encodeURIComponent(sessionId)}/attachments/${encodeURIComponent(attachment.id)}`, {
+                method: 'DELETE',
+            });
+        } catch (error) {
+            console.error('Could not delete attachment:', error);
+        }
+    }
+}
+
+function attachFiles(files) {
+    for (const file of files) {
+        uploadAttachment(file);
+    }
+}
+
+attachButton.addEventListener('click', () => attachmentInput.click());
+attachmentInput.addEventListener('change', () => {
+    attachFiles(attachmentInput.files);
+    attachmentInput.value = '';
+});
+
+// Drop files anywhere on the chat to attach them
+const chatPanel = chatContainer.parentElement;
+chatPanel.addEventListener('dragover', (e) => {
+    if (e.dataTransfer.types.includes('Files')) {
+        e.preventDefault();
+        chatPanel.classList.add('drag-over');
+    }
+});
+chatPanel.addEventListener('dragleave', (e) => {
+    if (!chatPanel.contains(e.relatedTarget)) {
+        chatPanel.classList.remove('drag-over');
+    }
+});
+chatPanel.addEventListener('drop', (e) => {
+    e.preventDefault();
+    chatPanel.classList.remove('drag-over');
+    attachFiles(e.dataTransfer.files);
+});
+
 async function sendMessage() {
     const prompt = promptInput.value.trim();
 
-    if (!prompt || isProcessing) {
+    // Wait for uploads to finish so no attachment is silently left out
+    if (!prompt || isProcessing || pendingAttachments.some(attachment => attachment.uploading)) {
         return;
     }
 
     const model = modelSelect.value;
     const streaming = streamToggle.checked;
+    const attachments = pendingAttachments.filter(attachment => attachment.id);
 
-    addMessage(prompt, 'user');
+    addMessage(prompt, 'user', attachments);
     promptInput.value = '';
+    clearAttachments();
 
     isProcessing = true;
-    sendButton.disabled = true;
-    sendButton.innerHTML = '<span class="loading"></span>Processing...';
+    activeStreamSessionId = null;
+    activeRequestController = new AbortController();
+    sendButton.hidden = true;
+    stopButton.hidden = false;
+    stopButton.disabled = false;
 
+    const attachmentIds = attachments.map(attachment => attachment.id);
     if (streaming) {
-        await sendPromptStreaming(prompt, model);
+        await sendPromptStreaming(prompt, model, attachmentIds);
     } else {
-        await sendPromptNonStreaming(prompt, model);
+        await sendPromptNonStreaming(prompt, model, attachmentIds);
     }
 
     isProcessing = false;
-    sendButton.disabled = false;
-    sendButton.textContent = 'Send';
+    activeStreamSessionId = null;
+    activeRequestController = null;
+    stopButton.hidden = true;
+    sendButton.hidden = false;
     promptInput.focus();
+    loadSessions();
 }
 
 sendButton.addEventListener('click', sendMessage);
+stopButton.addEventListener('click', stopGeneration);
 
 promptInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -251,9 +808,11 @@ promptInput.addEventListener('keypress', (e) => {
 // Start new chat - clears session and chat history
 function startNewChat() {
     clearSession();
+    clearAttachments();
     chatContainer.innerHTML = '';
-    addMessage('Hello! I\'m GitHub Copilot. How can I help you today?', 'assistant');
+    addMessage(WELCOME_MESSAGE, 'assistant');
     promptInput.focus();
+    loadSessions();
 }
 
 // Attach new chat button if it exists
@@ -262,14 +821,269 @@ if (newChatButton) {
     newChatButton.addEventListener('click', startNewChat);
 }
 
-// Add welcome message
-window.addEventListener('load', () => {
-    addMessage('Hello! I\'m GitHub Copilot. How can I help you today?', 'assistant');
-    // Log session status
+// Conversation history sidebar
+async function loadSessions() {
+    try {
+        const response = await apiFetch('/api/sessions');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { sessions } = await response.json();
+        renderSessionList(sessions);
+    } catch (error) {
+        console.error('Could not load sessions:', error);
+    }
+}
+
+function renderSessionList(sessions) {
+    sessionList.innerHTML = '';
+
+    if (sessions.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'session-empty';
+        empty.textContent = 'No conversations yet';
+        sessionList.appendChild(empty);
+        return;
+    }
+
+    const currentSessionId = getSessionId();
+    for (const session of sessions) {
+        const item = document.createElement('li');
+        item.className = `session-item${session.id === currentSessionId ? ' current' : ''}`;
+
+        const titleSpan = document.createElement('span');
+        titleSpan.className = 'session-title';
+        titleSpan.textContent = session.title || 'Untitled conversation';
+        const metaSpan = document.createElement('span');
+        metaSpan.className = 'session-meta';
+        metaSpan.textContent = `${session.messageCount} messages · ${session.model}`;
+        titleSpan.appendChild(metaSpan);
+
+        const renameButton = document.createElement('button');
+        renameButton.className = 'session-action';
+        renameButton.title = 'Rename';
+        renameButton.textContent = '✎';
+        renameButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            renameSession(session);
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'session-action';
+        deleteButton.title = 'Delete';
+        deleteButton.textContent = '✕';
+        deleteButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteSession(session);
+        });
+
+        item.appendChild(titleSpan);
+        item.appendChild(renameButton);
+        item.appendChild(deleteButton);
+        item.addEventListener('click', () => switchSession(session.id));
+        sessionList.appendChild(item);
+    }
+}
+
+// Load a past conversation and continue it; resolves false if it could not be loaded
+async function switchSession(sessionId) {
+    if (isProcessing) {
+        return false;
+    }
+    try {
+        const response = await apiFetch(`/api/session/${encodeURIComponent(sessionId)}/messages`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const history = await response.json();
+
+        setSessionId(sessionId);
+        clearAttachments();
+        chatContainer.innerHTML = '';
+        renderHistory(history.messages);
+        loadSessions();
+        return true;
+    } catch (error) {
+        console.error('Could not load conversation:', error);
+        return false;
+    }
+}
+
+function renderHistory(messages) {
+    if (messages.length === 0) {
+        addMessage(WELCOME_MESSAGE, 'assistant');
+        return;
+    }
+    for (const message of messages) {
+        if (message.role === 'user') {
+            addMessage(message.content, 'user', message.attachments || []);
+        } else if (message.role === 'assistant') {
+            if (message.error) {
+                addMessage(`Error: ${message.error}`, 'assistant');
+            } else {
+                addMessage(message.content + (message.status === 'cancelled' ? STOPPED_NOTE : ''), 'assistant');
+            }
+        } else if (message.role === 'tool') {
+            const messageDiv = document.createElement('div');
+            messageDiv.className = 'message assistant';
+            const toolDiv = document.createElement('div');
+            describeToolCall(toolDiv, message);
+            messageDiv.appendChild(toolDiv);
+            chatContainer.appendChild(messageDiv);
+        }
+    }
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+}
+
+async function renameSession(session) {
+    const title = window.prompt('Rename conversation', session.title || '');
+    if (!title || !title.trim()) {
+        return;
+    }
+    try {
+        const response = await apiFetch(`/api/session/${encodeURIComponent(session.id)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ title: title.trim() }),
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        loadSessions();
+    } catch (error) {
+        console.error('Could not rename conversation:', error);
+    }
+}
+
+async function deleteSession(session) {
+    if (!window.confirm(`Delete "${session.title || 'Untitled conversation'}"?`)) {
+        return;
+    }
+    try {
+        const response = await apiFetch(`/api/session/${encodeURIComponent(session.id)}`, {
+            method: 'DELETE',
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        if (session.id === getSessionId()) {
+            startNewChat();
+        } else {
+            loadSessions();
+        }
+    } catch (error) {
+        console.error('Could not delete conversation:', error);
+    }
+}
+
+// Model dropdown, grouped by vendor, built from the server's model catalog
+const MODEL_STORAGE_KEY = 'copilot_model';
+
+async function loadModels() {
+    try {
+        const response = await apiFetch('/api/models');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { models, defaultModel } = await response.json();
+
+        const groups = new Map();
+        for (const model of models) {
+            if (!groups.has(model.vendor)) {
+                groups.set(model.vendor, []);
+            }
+            groups.get(model.vendor).push(model);
+        }
+
+        modelSelect.innerHTML = '';
+        for (const [vendor, vendorModels] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = `${vendor} Models`;
+            for (const model of vendorModels.sort((a, b) => a.name.localeCompare(b.name))) {
+                const option = document.createElement('option');
+                option.value = model.id;
+                const badges = [];
+                if (model.capabilities.reasoning) {
+                    badges.push('reasoning');
+                }
+                if (model.capabilities.vision) {
+                    badges.push('vision');
+                }
+                if (model.premiumMultiplier !== null && model.premiumMultiplier !== 1) {
+                    badges.push(`${model.premiumMultiplier}x`);
+                }
+                option.textContent = badges.length > 0 ? `${model.name} (${badges.join(', ')})` : model.name;
+                option.disabled = !model.enabled;
+                optgroup.appendChild(option);
+            }
+            modelSelect.appendChild(optgroup);
+        }
+
+        const saved = localStorage.getItem(MODEL_STORAGE_KEY);
+        const preferred = models.find(model => model.id === saved && model.enabled) ? saved : defaultModel;
+        if (models.some(model => model.id === preferred)) {
+            modelSelect.value = preferred;
+        }
+    } catch (error) {
+        // Keep the "Default model" option; the server picks its default
+        console.error('Could not load models:', error);
+    }
+}
+
+modelSelect.addEventListener('change', () => {
+    localStorage.setItem(MODEL_STORAGE_KEY, modelSelect.value);
+});
+
+// Preset picker: presets bundle a system prompt, model, skills and tool settings
+let presets = [];
+
+async function loadPresets() {
+    try {
+        const response = await apiFetch('/api/presets');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        ({ presets } = await response.json());
+
+        presetSelect.innerHTML = '<option value="">No preset</option>';
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            option.title = preset.description || '';
+            presetSelect.appendChild(option);
+        }
+    } catch (error) {
+        console.error('Could not load presets:', error);
+    }
+}
+
+presetSelect.addEventListener('change', () => {
+    const preset = presets.find(p => p.id === presetSelect.value);
+    if (preset?.model && [...modelSelect.options].some(option => option.value === preset.model)) {
+        modelSelect.value = preset.model;
+    }
+    // A preset applies to new conversations
+    if (getSessionId() && !isProcessing) {
+        startNewChat();
+    }
+});
+
+// Restore the current conversation (or show the welcome message) and load the sidebar
+window.addEventListener('load', async () => {
+    loadModels();
+    loadPresets();
     const existingSession = getSessionId();
     if (existingSession) {
         console.log('Existing session found:', existingSession);
+        if (!(await switchSession(existingSession))) {
+            startNewChat();
+        }
     } else {
         console.log('No existing session - will create new one on first message');
+        addMessage(WELCOME_MESSAGE, 'assistant');
+        loadSessions();
     }
 });
@@ -127,6 +127,11 @@ if ($envVars.ContainsKey('NODE_ENV')) {
 } else {
     Write-Host "  Environment: production" -ForegroundColor White
 }
+if ($envVars['API_KEYS'] -or $envVars['JWT_SECRET'] -or $envVars['OIDC_ISSUER']) {
+    Write-Host "  Authentication: enabled" -ForegroundColor White
+} else {
+    Write-Host "  Authentication: disabled (set API_KEYS, JWT_SECRET or OIDC_ISSUER in $EnvFile)" -ForegroundColor Yellow
+}
 Write-Host ""
 Write-Host "Application URL: http://localhost:$Port" -ForegroundColor Green
 Write-Host ""
@@ -153,7 +158,7 @@ $dockerArgs += "${Port}:3000"
 $dockerArgs += '--name'
 $dockerArgs += 'copilot-wrapper'
 
-# Add environment variables from .env
+# Add environment variables from .env (including authentication and CORS settings)
 foreach ($key in $envVars.Keys) {
     $dockerArgs += '-e'
     $dockerArgs += "${key}=$($envVars[$key])"
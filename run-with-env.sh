@@ -105,6 +105,11 @@ echo -e "${YELLOW}Configuration:${NC}"
 echo "  Port: $PORT"
 echo "  GitHub Token: ${GITHUB_TOKEN:0:10}..."
 echo "  Environment: ${NODE_ENV:-production}"
+if [ -n "$API_KEYS" ] || [ -n "$JWT_SECRET" ] || [ -n "$OIDC_ISSUER" ]; then
+    echo "  Authentication: enabled"
+else
+    echo -e "  Authentication: ${YELLOW}disabled (set API_KEYS, JWT_SECRET or OIDC_ISSUER in $ENV_FILE)${NC}"
+fi
 echo ""
 echo -e "${GREEN}Application URL: http://localhost:$PORT${NC}"
 echo ""
@@ -133,6 +138,13 @@ if [ -n "$COPILOT_MODEL" ]; then
     DOCKER_ARGS+=(-e "COPILOT_MODEL=$COPILOT_MODEL")
 fi
 
+# Add authentication and CORS settings that are set
+for VAR in API_KEYS JWT_SECRET OIDC_ISSUER JWT_AUDIENCE JWT_USER_CLAIM AUTH_ADMINS CORS_ORIGINS; do
+    if [ -n "${!VAR}" ]; then
+        DOCKER_ARGS+=(-e "$VAR=${!VAR}")
+    fi
+done
+
 DOCKER_ARGS+=(copilot-wrapper-service)
 
 # Run container
@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+
+const ACTIONS = ["approve", "deny", "ask"];
+
+// Used when no APPROVAL_RULES / APPROVAL_RULES_FILE is configured: file reads and
+// writes inside the session's own working and output directories need no confirmation
+const DEFAULT_RULES = [
+    { tool: "read", path: "{workingDirectory}/**", action: "approve" },
+    { tool: "write", path: "{workingDirectory}/**", action: "approve" },
+    { tool: "read", path: "{outputDirectory}/**", action: "approve" },
+    { tool: "write", path: "{outputDirectory}/**", action: "approve" },
+];
+
+const PATH_VARIABLES = ["workingDirectory", "outputDirectory"];
+
+// Glob to RegExp: ** matches across "/", * and ? within one path segment
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*" && pattern[i + 1] === "*") {
+            source += ".*";
+            i++;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Literal directory an absolute path pattern starts with ("/srv/app/" for "/srv/app/**/*.js")
+function patternRoot(pattern) {
+    const wildcard = pattern.search(/[*?]/);
+    return wildcard === -1 ? pattern : pattern.slice(0, pattern.lastIndexOf("/", wildcard) + 1);
+}
+
+function isInside(filePath, root) {
+    const relative = path.relative(root, filePath);
+    return relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// Flatten an SDK permission request into what rules and the UI look at:
+// { kind, toolName, toolCallId, intention, paths, command, url, arguments }
+export function describePermissionRequest(request) {
+    const description = {
+        kind: request.kind,
+        toolName: request.kind,
+        toolCallId: request.toolCallId || null,
+        intention: request.intention || null,
+        paths: [],
+        command: null,
+        url: null,
+        arguments: null,
+    };
+    switch (request.kind) {
+        case "shell":
+            description.command = request.fullCommandText || null;
+            description.paths = request.possiblePaths || [];
+            break;
+        case "write":
+            description.paths = [request.resolvedPath || request.fileName].filter(Boolean);
+            description.arguments = { diff: request.diff || null };
+            break;
+        case "read":
+            description.paths = [request.resolvedPath || request.path].filter(Boolean);
+            break;
+        case "url":
+            description.url = request.url || null;
+            break;
+        case "mcp":
+            description.toolName = `${request.serverName}/${request.toolName}`;
+            description.arguments = request.args ?? null;
+            break;
+        case "custom-tool":
+            description.toolName = request.toolName;
+            description.arguments = request.args ?? null;
+            break;
+        default:
+            break;
+    }
+    return description;
+}
+
+// Server-side rules that approve, deny or ask the user about permission requests.
+// Each rule is { tool, path?, command?, url?, action }: tool matches the request kind
+// (shell, write, read, url, mcp, custom-tool, ...) or tool name, the other patterns
+// are globs. The first matching rule wins; an "approve" rule only matches when every
+// path of the request matches its path pattern. "{workingDirectory}" and
+// "{outputDirectory}" in a path pattern stand for the session's working directory
+// (its workspace, if bound to one) and the directory for its generated files.
+class ApprovalPolicy {
+    constructor({
+        rules = ApprovalPolicy.loadRules(),
+        defaultAction = process.env.APPROVAL_DEFAULT_ACTION || "ask",
+    } = {}) {
+        if (!ACTIONS.includes(defaultAction)) {
+            throw new Error(`APPROVAL_DEFAULT_ACTION must be one of ${ACTIONS.join(", ")}`);
+        }
+        for (const rule of rules) {
+            if (!rule || !ACTIONS.includes(rule.action) || typeof rule.tool !== "string") {
+                throw new Error(`Invalid approval rule: ${JSON.stringify(rule)}`);
+            }
+        }
+        this.rules = rules;
+        this.defaultAction = defaultAction;
+    }
+
+    // Rules from APPROVAL_RULES (JSON) or the file named by APPROVAL_RULES_FILE
+    static loadRules() {
+        if (process.env.APPROVAL_RULES_FILE) {
+            return JSON.parse(fs.readFileSync(process.env.APPROVAL_RULES_FILE, "utf8"));
+        }
+        if (process.env.APPROVAL_RULES) {
+            return JSON.parse(process.env.APPROVAL_RULES);
+        }
+        return DEFAULT_RULES;
+    }
+
+    matches(rule, request, context = {}) {
+        if (rule.tool !== "*" && !globToRegExp(rule.tool).test(request.kind) && !globToRegExp(rule.tool).test(request.toolName)) {
+            return false;
+        }
+        if (rule.path) {
+            // Sessions without such a directory never match rules relative to it
+            let rulePath = rule.path;
+            for (const name of PATH_VARIABLES) {
+                if (rulePath.includes(`{${name}}`)) {
+                    if (!context[name]) {
+                        return false;
+                    }
+                    rulePath = rulePath.replaceAll(`{${name}}`, context[name]);
+                }
+            }
+            // Compare resolved paths, so "{workingDirectory}/../x" neither passes for a
+            // path inside the directory nor for the pattern itself
+            const paths = request.paths.map(p => path.resolve(context.workingDirectory || "/", p));
+            let root = null;
+            if (path.isAbsolute(rulePath)) {
+                const literal = patternRoot(rulePath);
+                root = path.resolve(literal);
+                rulePath = path.join(root, rulePath.slice(literal.length));
+            }
+            const pattern = globToRegExp(rulePath);
+            const matching = paths.filter(p => (!root || isInside(p, root)) && pattern.test(p));
+            const pathsMatch = rule.action === "approve"
+                ? paths.length > 0 && matching.length === paths.length
+                : matching.length > 0;
+            if (!pathsMatch) {
+                return false;
+            }
+        }
+        if (rule.command && !(request.command && globToRegExp(rule.command).test(request.command))) {
+            return false;
+        }
+        if (rule.url && !(request.url && globToRegExp(rule.url).test(request.url))) {
+            return false;
+        }
+        return true;
+    }
+
+    // "approve", "deny" or "ask" for a described request
+    evaluate(request, context = {}) {
+        const rule = this.rules.find(r => this.matches(r, request, context));
+        return rule ? rule.action : this.defaultAction;
+    }
+}
+
+export default ApprovalPolicy;
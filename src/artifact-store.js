@@ -0,0 +1,153 @@
+import path from 'path';
+import fs from 'fs';
+import logger from './logger.js';
+
+const log = logger.child({ component: "artifact-store" });
+
+const ARCHIVE_DIR_NAME = '.archive';
+
+// Manages generated files. Each session gets its own directory under the
+// outputs root (outputs/<sessionId>/), which is also the SDK session's cwd.
+class ArtifactStore {
+    constructor(rootDir, { retention = process.env.OUTPUTS_RETENTION || "archive" } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.archiveDir = path.join(this.rootDir, ARCHIVE_DIR_NAME);
+        // What happens to a session's files when the session goes away: "archive" or "delete"
+        this.retention = retention === "delete" ? "delete" : "archive";
+
+        if (!fs.existsSync(this.rootDir)) {
+            fs.mkdirSync(this.rootDir, { recursive: true });
+        }
+    }
+
+    // Session IDs and file names must be a single path segment
+    static isSafeName(name) {
+        return typeof name === "string"
+            && name.length > 0
+            && name !== "."
+            && name !== ".."
+            && !/[\\/\0]/.test(name);
+    }
+
+    // Directory holding a session's files, or null for an unsafe session ID
+    sessionDir(sessionId) {
+        if (!ArtifactStore.isSafeName(sessionId) || sessionId.startsWith(".")) {
+            return null;
+        }
+        return path.join(this.rootDir, sessionId);
+    }
+
+    // Create (if needed) and return a session's output directory
+    ensureSessionDir(sessionId) {
+        const dir = this.sessionDir(sessionId);
+        if (!dir) {
+            throw new Error(`Invalid session ID for outputs: ${sessionId}`);
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        return dir;
+    }
+
+    // Resolve a file inside a session's directory.
+    // Returns null for anything that could escape it (separators, "..", NUL bytes).
+    resolve(sessionId, name) {
+        const dir = this.sessionDir(sessionId);
+        if (!dir || !ArtifactStore.isSafeName(name)) {
+            return null;
+        }
+        const filePath = path.resolve(dir, name);
+        if (path.dirname(filePath) !== dir) {
+            return null;
+        }
+        return filePath;
+    }
+
+    // Get metadata for a single file, or null if it does not exist
+    get(sessionId, name) {
+        const filePath = this.resolve(sessionId, name);
+        if (!filePath) {
+            return null;
+        }
+        try {
+            const stats = fs.statSync(filePath);
+            if (!stats.isFile()) {
+                return null;
+            }
+            return {
+                name,
+                path: filePath,
+                size: stats.size,
+                modifiedAt: stats.mtime,
+                sessionId,
+                url: `/outputs/${encodeURIComponent(sessionId)}/${encodeURIComponent(name)}`,
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Names of the files currently in a session's directory
+    snapshot(sessionId) {
+        const dir = this.sessionDir(sessionId);
+        try {
+            return new Set(fs.readdirSync(dir).filter(name => !name.startsWith(".")));
+        } catch (e) {
+            return new Set();
+        }
+    }
+
+    // List generated files, optionally only those produced by one session
+    list({ sessionId } = {}) {
+        let sessionIds = [];
+        if (sessionId) {
+            sessionIds = [sessionId];
+        } else {
+            try {
+                sessionIds = fs.readdirSync(this.rootDir, { withFileTypes: true })
+                    .filter(entry => entry.isDirectory() && !entry.name.startsWith("."))
+                    .map(entry => entry.name);
+            } catch (e) {
+                log.warn("Could not read outputs dir", { error: e.message });
+            }
+        }
+
+        return sessionIds
+            .flatMap(id => [...this.snapshot(id)].map(name => this.get(id, name)))
+            .filter(Boolean)
+            .sort((a, b) => b.modifiedAt - a.modifiedAt)
+            .map(({ path: _path, ...file }) => file);
+    }
+
+    // Delete a file; returns false if it did not exist
+    delete(sessionId, name) {
+        const file = this.get(sessionId, name);
+        if (!file) {
+            return false;
+        }
+        fs.unlinkSync(file.path);
+        return true;
+    }
+
+    // Clean up a session's directory when the session ends.
+    // Empty directories are removed; otherwise the retention policy decides.
+    releaseSession(sessionId) {
+        const dir = this.sessionDir(sessionId);
+        if (!dir || !fs.existsSync(dir)) {
+            return;
+        }
+        try {
+            if (this.retention === "delete" || fs.readdirSync(dir).length === 0) {
+                fs.rmSync(dir, { recursive: true, force: true });
+                log.info("Removed session outputs", { sessionId });
+            } else {
+                fs.mkdirSync(this.archiveDir, { recursive: true });
+                const target = path.join(this.archiveDir, `${sessionId}_${Date.now()}`);
+                fs.renameSync(dir, target);
+                log.info("Archived session outputs", { sessionId, target });
+            }
+        } catch (e) {
+            log.warn("Could not clean up session outputs", { sessionId, error: e.message });
+        }
+    }
+}
+
+export default ArtifactStore;
@@ -0,0 +1,190 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import ArtifactStore from './artifact-store.js';
+import logger from './logger.js';
+
+const log = logger.child({ component: "attachment-store" });
+
+// Content types of the file extensions accepted by default (ATTACHMENT_TYPES
+// narrows or extends the list)
+const CONTENT_TYPES = {
+    ".txt": "text/plain", ".md": "text/markdown", ".csv": "text/csv", ".log": "text/plain",
+    ".json": "application/json", ".yaml": "text/yaml", ".yml": "text/yaml", ".toml": "text/plain",
+    ".xml": "application/xml", ".html": "text/html", ".css": "text/css", ".sql": "text/plain",
+    ".js": "text/javascript", ".mjs": "text/javascript", ".ts": "text/plain", ".tsx": "text/plain",
+    ".jsx": "text/plain", ".py": "text/x-python", ".java": "text/plain", ".go": "text/plain",
+    ".rs": "text/plain", ".rb": "text/plain", ".php": "text/plain", ".c": "text/plain",
+    ".h": "text/plain", ".cpp": "text/plain", ".cs": "text/plain", ".sh": "text/x-shellscript",
+    ".diff": "text/x-diff", ".patch": "text/x-diff", ".ini": "text/plain",
+    ".pdf": "application/pdf",
+    ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif", ".webp": "image/webp",
+};
+
+// Leading bytes an image upload must start with, so a renamed file is not
+// passed off as an image
+const IMAGE_SIGNATURES = {
+    "image/png": [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+    "image/jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+    "image/gif": [Buffer.from("GIF87a"), Buffer.from("GIF89a")],
+    "image/webp": [Buffer.from("RIFF")],
+};
+
+const MAX_NAME_LENGTH = 200;
+
+function attachmentError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Files uploaded into a conversation ("review this file", "explain this screenshot").
+// Each session has its own directory, separate from its outputs so uploads are never
+// reported as generated files: <root>/<sessionId>/<attachmentId>/<name>
+class AttachmentStore {
+    constructor(rootDir, {
+        maxBytes = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024,
+        maxFiles = Number(process.env.ATTACHMENT_MAX_FILES) || 20,
+        extensions = process.env.ATTACHMENT_TYPES
+            ? process.env.ATTACHMENT_TYPES.split(",").map(ext => ext.trim().toLowerCase()).filter(Boolean)
+            : Object.keys(CONTENT_TYPES),
+    } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.extensions = extensions.map(ext => (ext.startsWith(".") ? ext : `.${ext}`));
+        fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    static isValidId(id) {
+        return typeof id === "string" && /^[0-9a-f-]{36}$/.test(id);
+    }
+
+    // Upload name reduced to a safe single path segment, or null if nothing is left
+    static cleanName(name) {
+        const cleaned = path.basename(String(name || "").replace(/\\/g, "/"))
+            .replace(/[\0-\x1f\x7f]/g, "")
+            .trim()
+            .substring(0, MAX_NAME_LENGTH);
+        return ArtifactStore.isSafeName(cleaned) && !cleaned.startsWith(".") ? cleaned : null;
+    }
+
+    sessionDir(sessionId) {
+        if (!ArtifactStore.isSafeName(sessionId) || sessionId.startsWith(".")) {
+            return null;
+        }
+        return path.join(this.rootDir, sessionId);
+    }
+
+    // Metadata of one attachment ({ id, name, size, contentType, createdAt, path }), or null
+    get(sessionId, id) {
+        const sessionDir = this.sessionDir(sessionId);
+        if (!sessionDir || !AttachmentStore.isValidId(id)) {
+            return null;
+        }
+        const dir = path.join(sessionDir, id);
+        try {
+            const [name] = fs.readdirSync(dir);
+            if (!name) {
+                return null;
+            }
+            const filePath = path.join(dir, name);
+            const stats = fs.statSync(filePath);
+            return {
+                id,
+                name,
+                size: stats.size,
+                contentType: CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream",
+                createdAt: stats.mtime,
+                path: filePath,
+            };
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                log.warn("Could not read attachment", { attachmentId: id, error: e.message });
+            }
+            return null;
+        }
+    }
+
+    list(sessionId) {
+        const sessionDir = this.sessionDir(sessionId);
+        if (!sessionDir || !fs.existsSync(sessionDir)) {
+            return [];
+        }
+        return fs.readdirSync(sessionDir)
+            .map(id => this.get(sessionId, id))
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Store an upload. Throws INVALID_ATTACHMENT (bad name, type or content),
+    // ATTACHMENT_TOO_LARGE or TOO_MANY_ATTACHMENTS.
+    save(sessionId, name, content) {
+        const sessionDir = this.sessionDir(sessionId);
+        if (!sessionDir) {
+            throw attachmentError("INVALID_ATTACHMENT", `Invalid session ID: ${sessionId}`);
+        }
+        const fileName = AttachmentStore.cleanName(name);
+        if (!fileName) {
+            throw attachmentError("INVALID_ATTACHMENT", "A file name is required");
+        }
+        const extension = path.extname(fileName).toLowerCase();
+        if (!this.extensions.includes(extension)) {
+            throw attachmentError("INVALID_ATTACHMENT", `File type not allowed: ${extension || fileName}`);
+        }
+        if (!Buffer.isBuffer(content) || content.length === 0) {
+            throw attachmentError("INVALID_ATTACHMENT", "The file is empty");
+        }
+        if (content.length > this.maxBytes) {
+            throw attachmentError("ATTACHMENT_TOO_LARGE", `Attachments may be at most ${this.maxBytes} bytes`);
+        }
+        const signatures = IMAGE_SIGNATURES[CONTENT_TYPES[extension]];
+        if (signatures && !signatures.some(signature => content.subarray(0, signature.length).equals(signature))) {
+            throw attachmentError("INVALID_ATTACHMENT", `${fileName} is not a valid ${extension.substring(1)} image`);
+        }
+        if (this.list(sessionId).length >= this.maxFiles) {
+            throw attachmentError("TOO_MANY_ATTACHMENTS", `A session may have at most ${this.maxFiles} attachments`);
+        }
+
+        const id = crypto.randomUUID();
+        const dir = path.join(sessionDir, id);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, fileName), content);
+        log.info("Stored attachment", { sessionId, attachmentId: id, name: fileName, size: content.length });
+        return this.get(sessionId, id);
+    }
+
+    // Attachments by ID, in the given order; throws UNKNOWN_ATTACHMENT for IDs the
+    // session does not have
+    resolve(sessionId, ids) {
+        if (!Array.isArray(ids) || !ids.every(id => typeof id === "string")) {
+            throw attachmentError("UNKNOWN_ATTACHMENT", "attachments must be an array of attachment IDs");
+        }
+        return [...new Set(ids)].map((id) => {
+            const attachment = this.get(sessionId, id);
+            if (!attachment) {
+                throw attachmentError("UNKNOWN_ATTACHMENT", `Unknown attachment: ${id}`);
+            }
+            return attachment;
+        });
+    }
+
+    // Delete one attachment; returns false if it did not exist
+    delete(sessionId, id) {
+        if (!this.get(sessionId, id)) {
+            return false;
+        }
+        fs.rmSync(path.join(this.sessionDir(sessionId), id), { recursive: true, force: true });
+        return true;
+    }
+
+    // Remove every attachment of a session
+    deleteSession(sessionId) {
+        const sessionDir = this.sessionDir(sessionId);
+        if (sessionDir) {
+            fs.rmSync(sessionDir, { recursive: true, force: true });
+        }
+    }
+}
+
+export default AttachmentStore;
@@ -0,0 +1,283 @@
+import crypto from "crypto";
+import fs from "fs";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "auth" });
+
+// Signature algorithms accepted for JWT bearer tokens
+const JWT_ALGORITHMS = {
+    HS256: { hash: "sha256", hmac: true },
+    HS384: { hash: "sha384", hmac: true },
+    HS512: { hash: "sha512", hmac: true },
+    RS256: { hash: "sha256" },
+    RS384: { hash: "sha384" },
+    RS512: { hash: "sha512" },
+    ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+    ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+    ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+};
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+// Least time between two JWKS fetches, successful or not, so tokens with made-up
+// kids cannot make every request call the identity provider
+const JWKS_REFETCH_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+function authError(message) {
+    const error = new Error(message);
+    error.code = "UNAUTHORIZED";
+    return error;
+}
+
+function splitList(value) {
+    return (value || "").split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+}
+
+function base64UrlJson(segment) {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// Hex SHA-256 of an API key, the form keys are configured in
+export function hashApiKey(key) {
+    return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
+
+// Parse "<user>:<sha256-hex>[:admin]" entries (comma or newline separated, # comments)
+export function parseApiKeys(text) {
+    const keys = [];
+    for (const line of (text || "").split("\n")) {
+        const content = line.replace(/#.*$/, "");
+        for (const entry of splitList(content)) {
+            const [user, hash, role] = entry.split(":").map(part => part.trim());
+            if (!user || !/^[0-9a-f]{64}$/i.test(hash || "")) {
+                throw new Error(`Invalid API key entry for "${user || entry}": expected <user>:<sha256-hex>[:admin]`);
+            }
+            keys.push({ user, hash: Buffer.from(hash.toLowerCase(), "hex"), role: role === "admin" ? "admin" : "user" });
+        }
+    }
+    return keys;
+}
+
+// Authenticates API requests with hashed API keys and/or JWT bearer tokens
+// (a shared HS256 secret or an OIDC issuer's signing keys). With neither
+// configured, every request runs as the "anonymous" admin, as before.
+class Authenticator {
+    constructor({
+        apiKeys = process.env.API_KEYS || "",
+        apiKeysFile = process.env.API_KEYS_FILE || null,
+        jwtSecret = process.env.JWT_SECRET || null,
+        oidcIssuer = process.env.OIDC_ISSUER || null,
+        audience = process.env.JWT_AUDIENCE || null,
+        userClaim = process.env.JWT_USER_CLAIM || "sub",
+        admins = splitList(process.env.AUTH_ADMINS),
+    } = {}) {
+        this.apiKeys = parseApiKeys(apiKeys);
+        if (apiKeysFile) {
+            this.apiKeys.push(...parseApiKeys(fs.readFileSync(apiKeysFile, "utf8")));
+        }
+        this.jwtSecret = jwtSecret;
+        this.oidcIssuer = oidcIssuer ? oidcIssuer.replace(/\/+$/, "") : null;
+        this.audience = audience;
+        this.userClaim = userClaim;
+        this.admins = new Set(admins);
+        this.jwks = null;
+        this.jwksAttemptAt = 0; // When the JWKS was last fetched or tried
+        this.jwksError = null; // Why the last fetch failed
+        this.jwksFetch = null; // Fetch in progress
+    }
+
+    get enabled() {
+        return this.apiKeys.length > 0 || Boolean(this.jwtSecret) || Boolean(this.oidcIssuer);
+    }
+
+    // Credential from "Authorization: Bearer <token>" or "X-API-Key: <key>"
+    static credential(req) {
+        const header = req.get("Authorization") || "";
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : (req.get("X-API-Key") || "").trim() || null;
+    }
+
+    user(id, role = "user") {
+        return { id, role: role === "admin" || this.admins.has(id) ? "admin" : "user" };
+    }
+
+    // Resolve a request to { id, role }; throws an error with code UNAUTHORIZED
+    async authenticate(req) {
+        if (!this.enabled) {
+            return { id: "anonymous", role: "admin" };
+        }
+        const credential = Authenticator.credential(req);
+        if (!credential) {
+            throw authError("Authentication required");
+        }
+        if (credential.split(".").length === 3 && (this.jwtSecret || this.oidcIssuer)) {
+            const claims = await this.verifyJwt(credential);
+            const id = claims[this.userClaim];
+            if (!id) {
+                throw authError(`Token has no ${this.userClaim} claim`);
+            }
+            return this.user(String(id));
+        }
+        return this.verifyApiKey(credential);
+    }
+
+    verifyApiKey(key) {
+        const hash = crypto.createHash("sha256").update(key, "utf8").digest();
+        // Compare against every entry so timing does not reveal which one matched
+        let match = null;
+        for (const entry of this.apiKeys) {
+            if (crypto.timingSafeEqual(hash, entry.hash) && !match) {
+                match = entry;
+            }
+        }
+        if (!match) {
+            throw authError("Invalid API key");
+        }
+        return this.user(match.user, match.role);
+    }
+
+    async verifyJwt(token) {
+        const [headerPart, payloadPart, signaturePart] = token.split(".");
+        let header;
+        let claims;
+        try {
+            header = base64UrlJson(headerPart);
+            claims = base64UrlJson(payloadPart);
+        } catch (e) {
+            throw authError("Malformed token");
+        }
+
+        const algorithm = JWT_ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw authError(`Unsupported token algorithm: ${header.alg}`);
+        }
+        const data = Buffer.from(`${headerPart}.${payloadPart}`);
+        const signature = Buffer.from(signaturePart, "base64url");
+
+        let valid;
+        if (algorithm.hmac) {
+            if (!this.jwtSecret) {
+                throw authError("HMAC-signed tokens are not accepted");
+            }
+            const expected = crypto.createHmac(algorithm.hash, this.jwtSecret).update(data).digest();
+            valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+        } else {
+            if (!this.oidcIssuer) {
+                throw authError("Only HMAC-signed tokens are accepted");
+            }
+            const key = await this.signingKey(header.kid);
+            valid = crypto.verify(algorithm.hash, data, algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key, signature);
+        }
+        if (!valid) {
+            throw authError("Invalid token signature");
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.exp === "number" && claims.exp + CLOCK_SKEW_SECONDS < now) {
+            throw authError("Token expired");
+        }
+        if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+            throw authError("Token not yet valid");
+        }
+        if (this.oidcIssuer && !algorithm.hmac && String(claims.iss).replace(/\/+$/, "") !== this.oidcIssuer) {
+            throw authError("Token issuer mismatch");
+        }
+        if (this.audience) {
+            const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+            if (!audiences.includes(this.audience)) {
+                throw authError("Token audience mismatch");
+            }
+        }
+        return claims;
+    }
+
+    // Public key for a token's kid from the issuer's JWKS (refetched hourly or on an
+    // unknown kid, at most once per JWKS_REFETCH_MS)
+    async signingKey(kid) {
+        const stale = !this.jwks || Date.now() - this.jwks.fetchedAt > JWKS_CACHE_MS;
+        if (stale || !this.findKey(kid)) {
+            await this.refreshJwks();
+        }
+        const jwk = this.findKey(kid);
+        if (!jwk) {
+            throw authError("Unknown token signing key");
+        }
+        return crypto.createPublicKey({ key: jwk, format: "jwk" });
+    }
+
+    findKey(kid) {
+        const keys = (this.jwks?.keys || []).filter(key => key.use !== "enc");
+        return kid ? keys.find(key => key.kid === kid) : keys[0];
+    }
+
+    // Refetch the JWKS unless that was tried within JWKS_REFETCH_MS; concurrent
+    // callers share one fetch. A failed fetch keeps the previous keys; without
+    // any, its error is rethrown until the next attempt is due.
+    async refreshJwks() {
+        if (!this.jwksFetch && Date.now() - this.jwksAttemptAt >= JWKS_REFETCH_MS) {
+            this.jwksAttemptAt = Date.now();
+            this.jwksFetch = this.fetchJwks()
+                .then(() => {
+                    this.jwksError = null;
+                }, (error) => {
+                    log.warn("Could not refresh OIDC signing keys", { error: error.message });
+                    this.jwksError = error;
+                })
+                .finally(() => {
+                    this.jwksFetch = null;
+                });
+        }
+        await this.jwksFetch;
+        if (!this.jwks && this.jwksError) {
+            throw this.jwksError;
+        }
+    }
+
+    async fetchJwks() {
+        const discovery = await fetch(`${this.oidcIssuer}/.well-known/openid-configuration`);
+        if (!discovery.ok) {
+            throw new Error(`OIDC discovery failed: HTTP ${discovery.status}`);
+        }
+        const { jwks_uri: jwksUri } = await discovery.json();
+        const response = await fetch(jwksUri);
+        if (!response.ok) {
+            throw new Error(`Could not fetch OIDC signing keys: HTTP ${response.status}`);
+        }
+        const { keys } = await response.json();
+        this.jwks = { keys: keys || [], fetchedAt: Date.now() };
+    }
+
+    // Express middleware: sets req.user or responds 401
+    middleware() {
+        return async (req, res, next) => {
+            try {
+                req.user = await this.authenticate(req);
+                next();
+            } catch (error) {
+                if (error.code !== "UNAUTHORIZED") {
+                    log.error("Authentication error", { error });
+                    return res.status(500).json({ error: "Authentication unavailable" });
+                }
+                res.set("WWW-Authenticate", "Bearer");
+                res.status(401).json({ error: error.message });
+            }
+        };
+    }
+
+    // Whether a user may see a session record; records without an owner are admin-only
+    static canAccess(user, record) {
+        if (!user) {
+            return false;
+        }
+        return user.role === "admin" || Boolean(record && record.owner === user.id);
+    }
+
+    // Express middleware for admin-only routes
+    static requireAdmin(req, res, next) {
+        if (req.user?.role !== "admin") {
+            return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+    }
+}
+
+export default Authenticator;
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { metrics } from './telemetry.js';
+import logger from './logger.js';
+
+const log = logger.child({ component: "batch-queue" });
+
+const FINISHED = ["completed", "failed", "cancelled"];
+
+// Item counts by status for a job summary
+function countItems(items) {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const item of items) {
+        counts[item.status]++;
+    }
+    return counts;
+}
+
+// Batch jobs: many prompts with shared options, run through runItem with at most
+// `concurrency` items in flight across all jobs. Jobs live in memory and are dropped
+// retentionMs after they finish.
+//
+// runItem(item, job, signal) resolves with { content, usage } or throws; signal is
+// aborted when the job is cancelled.
+class BatchQueue {
+    constructor(runItem, {
+        concurrency = Number(process.env.BATCH_CONCURRENCY) || 4,
+        maxItems = Number(process.env.BATCH_MAX_ITEMS) || 100,
+        retentionMs = Number(process.env.BATCH_RETENTION_MS) || 24 * 60 * 60 * 1000,
+    } = {}) {
+        this.runItem = runItem;
+        this.concurrency = concurrency;
+        this.maxItems = maxItems;
+        this.retentionMs = retentionMs;
+        this.jobs = new Map();
+        this.pending = []; // { job, item } waiting for a slot, oldest first
+        this.running = 0;
+    }
+
+    // Queue a job ({ prompts, owner, options }) and return it
+    create({ prompts, owner = null, options = {} }) {
+        const job = {
+            id: `batch_${crypto.randomUUID()}`,
+            owner,
+            status: "queued",
+            options,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            cancelledAt: null,
+            items: prompts.map((prompt, index) => ({
+                index,
+                prompt,
+                status: "queued",
+                content: null,
+                error: null,
+                usage: null,
+                startedAt: null,
+                finishedAt: null,
+                controller: null,
+            })),
+        };
+        this.jobs.set(job.id, job);
+        for (const item of job.items) {
+            this.pending.push({ job, item });
+        }
+        log.info("Queued batch", { batchId: job.id, owner, items: job.items.length });
+        this.pump();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Jobs of one owner (undefined: everyone's), newest first
+    list({ owner } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => owner === undefined || job.owner === owner)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Start queued items while there are free slots
+    pump() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { job, item } = this.pending.shift();
+            if (item.status !== "queued") {
+                continue;
+            }
+            this.run(job, item);
+        }
+        this.updateGauges();
+    }
+
+    updateGauges() {
+        metrics.batchItems.set({ state: "queued" }, this.pending.filter(({ item }) => item.status === "queued").length);
+        metrics.batchItems.set({ state: "running" }, this.running);
+    }
+
+    async run(job, item) {
+        this.running++;
+        item.status = "running";
+        item.startedAt = new Date().toISOString();
+        item.controller = new AbortController();
+        if (job.status === "queued") {
+            job.status = "running";
+            job.startedAt = item.startedAt;
+        }
+
+        try {
+            const result = await this.runItem(item, job, item.controller.signal);
+            item.status = "completed";
+            item.content = result.content;
+            item.usage = result.usage || null;
+        } catch (error) {
+            if (item.controller.signal.aborted) {
+                item.status = "cancelled";
+            } else {
+                log.error("Batch item failed", { batchId: job.id, item: item.index, error: error.message });
+                item.status = "failed";
+                item.error = error.message;
+            }
+        } finally {
+            item.controller = null;
+            item.finishedAt = new Date().toISOString();
+            this.running--;
+            metrics.batchItemsFinished.inc({ status: item.status });
+            this.settle(job);
+            this.pump();
+        }
+    }
+
+    // Mark a job finished once none of its items is queued or running
+    settle(job) {
+        if (FINISHED.includes(job.status) || job.items.some(item => !FINISHED.includes(item.status))) {
+            return;
+        }
+        job.status = job.cancelledAt ? "cancelled" : "completed";
+        job.finishedAt = new Date().toISOString();
+        log.info("Batch finished", { batchId: job.id, status: job.status });
+        setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref?.();
+    }
+
+    // Cancel a job: queued items are skipped and running ones aborted. Returns null
+    // for unknown jobs and false if the job had already finished.
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        if (FINISHED.includes(job.status)) {
+            return false;
+        }
+        job.cancelledAt = new Date().toISOString();
+        for (const item of job.items) {
+            if (item.status === "queued") {
+                item.status = "cancelled";
+                item.finishedAt = job.cancelledAt;
+            } else if (item.status === "running") {
+                item.controller.abort();
+            }
+        }
+        log.info("Cancelling batch", { batchId: job.id });
+        this.updateGauges();
+        this.settle(job);
+        return true;
+    }
+
+    // Job status with per-item results
+    static describe(job) {
+        return {
+            id: job.id,
+            owner: job.owner,
+            status: job.status,
+            model: job.options.model || null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            counts: countItems(job.items),
+            items: job.items.map(BatchQueue.describeItem),
+        };
+    }
+
+    static describeItem({ controller: _controller, ...item }) {
+        return item;
+    }
+
+    // Results as JSON Lines, one item per line in prompt order
+    static toJsonl(job) {
+        return job.items
+            .map(item => JSON.stringify(BatchQueue.describeItem(item)))
+            .join("\n") + "\n";
+    }
+}
+
+export default BatchQueue;
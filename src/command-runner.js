@@ -0,0 +1,115 @@
+import { spawn } from "child_process";
+
+// Slash commands that may be passed to the Copilot CLI (override with CLI_ALLOWED_COMMANDS)
+const DEFAULT_ALLOWED_COMMANDS = ["/help", "/agents", "/explain", "/model", "/skills", "/mcp", "/usage"];
+const MAX_COMMAND_LENGTH = 4000;
+
+// Runs slash commands through the Copilot CLI without a shell: the command is
+// written to the CLI's stdin, so nothing in it is ever interpreted by sh.
+class CommandRunner {
+    constructor({
+        binary = process.env.COPILOT_CLI_PATH || "copilot",
+        allowedCommands = process.env.CLI_ALLOWED_COMMANDS
+            ? process.env.CLI_ALLOWED_COMMANDS.split(",").map(c => c.trim()).filter(Boolean)
+            : DEFAULT_ALLOWED_COMMANDS,
+        timeoutMs = Number(process.env.CLI_TIMEOUT_MS) || 30000,
+        maxOutputBytes = Number(process.env.CLI_MAX_OUTPUT_BYTES) || 64 * 1024,
+    } = {}) {
+        this.binary = binary;
+        this.allowedCommands = new Set(allowedCommands.map(c => c.toLowerCase()));
+        this.timeoutMs = timeoutMs;
+        this.maxOutputBytes = maxOutputBytes;
+    }
+
+    static isCommand(prompt) {
+        return typeof prompt === "string" && prompt.trim().startsWith("/");
+    }
+
+    // Check a command against the allowlist; throws an error with code
+    // COMMAND_NOT_ALLOWED (or INVALID_COMMAND) otherwise
+    validate(prompt) {
+        const command = prompt.trim();
+        if (command.length > MAX_COMMAND_LENGTH || command.includes("\0")) {
+            const error = new Error("Invalid command");
+            error.code = "INVALID_COMMAND";
+            throw error;
+        }
+        const name = command.split(/\s+/)[0].toLowerCase();
+        if (!this.allowedCommands.has(name)) {
+            const error = new Error(`Command ${name} is not allowed. Allowed commands: ${[...this.allowedCommands].join(", ")}`);
+            error.code = "COMMAND_NOT_ALLOWED";
+            throw error;
+        }
+        return command;
+    }
+
+    // Run a slash command and resolve with { command, exitCode, stdout, stderr, durationMs }.
+    // Output beyond maxOutputBytes is dropped (truncated: true); the process is killed
+    // after timeoutMs (timedOut: true).
+    run(prompt) {
+        const command = this.validate(prompt);
+        const startedAt = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.binary, [], {
+                shell: false,
+                stdio: ["pipe", "pipe", "pipe"],
+                env: {
+                    ...process.env,
+                    GITHUB_TOKEN: process.env.GITHUB_TOKEN,
+                    GH_TOKEN: process.env.GITHUB_TOKEN,
+                },
+            });
+
+            const output = { stdout: [], stderr: [] };
+            let capturedBytes = 0;
+            let truncated = false;
+            let timedOut = false;
+
+            const capture = (stream) => (chunk) => {
+                const remaining = this.maxOutputBytes - capturedBytes;
+                if (remaining <= 0) {
+                    truncated = true;
+                    return;
+                }
+                if (chunk.length > remaining) {
+                    chunk = chunk.subarray(0, remaining);
+                    truncated = true;
+                }
+                capturedBytes += chunk.length;
+                output[stream].push(chunk);
+            };
+            child.stdout.on("data", capture("stdout"));
+            child.stderr.on("data", capture("stderr"));
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill("SIGTERM");
+            }, this.timeoutMs);
+
+            child.on("error", (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            child.on("close", (exitCode) => {
+                clearTimeout(timer);
+                resolve({
+                    command,
+                    exitCode,
+                    stdout: Buffer.concat(output.stdout).toString("utf8"),
+                    stderr: Buffer.concat(output.stderr).toString("utf8"),
+                    durationMs: Date.now() - startedAt,
+                    truncated,
+                    timedOut,
+                });
+            });
+
+            // The CLI may exit before reading its input
+            child.stdin.on("error", () => {});
+            child.stdin.end(command + "\n");
+        });
+    }
+}
+
+export default CommandRunner;
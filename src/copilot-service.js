@@ -1,150 +1,683 @@
 import { CopilotClient } from "@github/copilot-sdk";
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import ArtifactStore from './artifact-store.js';
+import EventBuffer from './event-buffer.js';
+import { createSessionStore, MemorySessionStore } from './session-store.js';
+import ModelCatalog, { DEFAULT_MODEL } from './model-catalog.js';
+import SkillStore from './skill-store.js';
+import PresetStore, { pickSessionOptions, validateSessionOptions } from './preset-store.js';
+import ToolRegistry, { truncateResult } from './tool-registry.js';
+import ApprovalPolicy, { describePermissionRequest } from './approval-policy.js';
+import AttachmentStore from './attachment-store.js';
+import WorkspaceManager from './workspace-manager.js';
+import SessionManager from './session-manager.js';
+import UsageStore, { emptyUsage, addUsage } from './usage-store.js';
+import { createResponseCache, cacheKey } from './response-cache.js';
+import { metrics, sdkErrorType, withSpan, startChildSpan, recordSpanError } from './telemetry.js';
+import logger, { addLogContext, currentLogContext, withoutLogContext } from './logger.js';
+
+const log = logger.child({ component: "copilot-service" });
 
 // Get the directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const SKILLS_DIR = path.resolve(__dirname, '..', 'skills');
+const SKILLS_DIR = path.resolve(process.env.SKILLS_DIR || path.join(__dirname, '..', 'skills'));
 const OUTPUTS_DIR = path.resolve(__dirname, '..', 'outputs');
+const TOOLS_DIR = path.resolve(process.env.TOOLS_DIR || path.join(__dirname, '..', 'tools'));
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+const ATTACHMENTS_DIR = path.resolve(process.env.ATTACHMENTS_DIR || path.join(DATA_DIR, 'attachments'));
+
+// Log level of the Copilot CLI runtime: none, error, warning, info, debug or all
+const SDK_LOG_LEVEL = process.env.COPILOT_LOG_LEVEL || "warning";
+
+// How long a permission request waits for the user before it is denied
+const APPROVAL_TIMEOUT_MS = Number(process.env.APPROVAL_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// How much of a stored transcript is replayed into a rebuilt session
+const MAX_RESTORED_HISTORY_CHARS = 20000;
+
+log.info("Directories", { skills: SKILLS_DIR, outputs: OUTPUTS_DIR, tools: TOOLS_DIR, data: DATA_DIR });
 
-// Ensure outputs directory exists
-if (!fs.existsSync(OUTPUTS_DIR)) {
-    fs.mkdirSync(OUTPUTS_DIR, { recursive: true });
+// Session title derived from a prompt
+function defaultTitle(prompt) {
+    const title = prompt.trim().replace(/\s+/g, " ");
+    return title.length > 60 ? `${title.substring(0, 57)}...` : title;
 }
 
-console.log('Skills directory:', SKILLS_DIR);
-console.log('Outputs directory:', OUTPUTS_DIR);
+// Stored attachments as SDK message attachments
+function toSdkAttachments(attachments) {
+    return attachments.map(attachment => ({ type: "file", path: attachment.path, displayName: attachment.name }));
+}
+
+// Render the tail of a stored transcript as context for a rebuilt session
+function formatTranscript(messages) {
+    const lines = messages
+        .filter(message => (message.role === "user" || message.role === "assistant") && message.content)
+        .map(message => `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`);
+
+    let history = "";
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (history.length + lines[i].length > MAX_RESTORED_HISTORY_CHARS) {
+            break;
+        }
+        history = lines[i] + "\n\n" + history;
+    }
+    return history
+        ? `This conversation was restored after a service restart. The conversation so far:\n\n${history.trim()}`
+        : null;
+}
 
 class CopilotService {
-    constructor() {
+    constructor({ store = createSessionStore({ dir: process.env.SESSION_STORE_DIR || path.join(DATA_DIR, 'sessions') }) } = {}) {
         this.client = null;
-        this.sessions = new Map(); // Store sessions by sessionId
+        this.sessions = new Map(); // Live SDK sessions by sessionId
+        this.store = store; // Session records and transcripts that survive restarts
+        this.restoring = new Map(); // sessionId -> pending restore
+        this.evictedWorkspaces = new Map(); // sessionId -> worktree kept for an evicted session
+        this.artifacts = new ArtifactStore(OUTPUTS_DIR); // Creates the outputs directory
+        this.skills = new SkillStore(SKILLS_DIR); // Creates the skills directory
+        this.tools = new ToolRegistry(TOOLS_DIR); // Custom tools, loaded on initialize()
+        this.approvals = new ApprovalPolicy(); // Rules for tool permission requests
+        this.attachments = new AttachmentStore(ATTACHMENTS_DIR); // Files uploaded into sessions
+        this.workspaces = new WorkspaceManager(); // Repositories sessions can work in (WORKSPACE_ROOTS)
+        // Idle/age eviction and caps for the live sessions in this.sessions
+        this.lifecycle = new SessionManager({
+            evict: (sessionId, reason) => this.evictSession(sessionId, reason),
+            isBusy: sessionId => Boolean(this.sessions.get(sessionId)?.activeTurn),
+        });
+        this.lifecycle.start();
+        this.usage = new UsageStore(process.env.USAGE_FILE || path.join(DATA_DIR, 'usage.jsonl')); // Token and premium request accounting
+        this.presets = new PresetStore(process.env.PRESETS_FILE || path.join(DATA_DIR, 'presets.json'));
+        // Answers of single-shot prompts that asked to be cached (null: RESPONSE_CACHE=off)
+        this.responses = createResponseCache({ dir: process.env.RESPONSE_CACHE_DIR || path.join(DATA_DIR, 'response-cache') });
+        this.models = new ModelCatalog(async () => {
+            await this.initialize();
+            return await this.client.listModels();
+        });
     }
 
     async initialize() {
+        await this.tools.load();
         if (!this.client) {
-            console.log("Initializing Copilot client...");
+            log.info("Initializing Copilot client");
             try {
-                this.client = new CopilotClient({
-                    logLevel: "debug",
+                // The client outlives this request; keep its callbacks out of the request's log context
+                this.client = withoutLogContext(() => new CopilotClient({
+                    logLevel: SDK_LOG_LEVEL,
                     autoStart: true,
                     autoRestart: true,
-                });
-                console.log("✓ Copilot client created");
+                }));
+                log.info("Copilot client created", { logLevel: SDK_LOG_LEVEL });
 
-                await this.client.start();
-                console.log("✓ Copilot client started");
+                await withoutLogContext(() => this.client.start());
+                log.info("Copilot client started");
 
                 try {
                     await this.client.ping();
-                    console.log("✓ Copilot CLI server is responsive");
+                    log.info("Copilot CLI server is responsive");
                 } catch (pingError) {
-                    console.warn("⚠ Warning: Ping test failed, but continuing:", pingError.message);
+                    log.warn("Ping test failed, but continuing", { error: pingError.message });
                 }
 
-                console.log("✓ Copilot client initialized successfully");
+                log.info("Copilot client initialized successfully");
             } catch (error) {
-                console.error("Error initializing Copilot client:", error);
-                console.error("Error details:", error.stack);
+                log.error("Error initializing Copilot client", { error });
                 throw error;
             }
         }
     }
 
-    // Create a new session and return its ID
-    async createNewSession(model = "gpt-4.1") {
-        await this.initialize();
+    // SDK session options shared by new, resumed and rebuilt sessions.
+    // skills limits the session to those skill names (null: every installed skill);
+    // the other options come from presets or a request's overrides. workingDirectory
+    // is the session's opened workspace, if it is bound to one.
+    sessionConfig(sessionId, model, {
+        history = null,
+        skills = null,
+        systemPrompt = null,
+        availableTools = null,
+        excludedTools = null,
+        reasoningEffort = null,
+        workingDirectory = null,
+    } = {}) {
+        // Generated files go to the session's own outputs/<sessionId>/ directory,
+        // which is also its cwd unless it works in a workspace
+        const outputDir = this.artifacts.ensureSessionDir(sessionId);
+        const cwd = workingDirectory || outputDir;
 
-        const sessionId = `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-        console.log(`Creating new session: ${sessionId} with model: ${model}`);
+        let systemContent = workingDirectory
+            ? `You are working in the git repository at ${workingDirectory}. Save any other files you generate for the user in ${outputDir}.`
+            : `Save any files you generate for the user in the current working directory (${outputDir}).`;
+        if (systemPrompt) {
+            systemContent = `${systemPrompt}\n\n${systemContent}`;
+        }
+        if (history) {
+            systemContent += `\n\n${history}`;
+        }
 
-        const session = await this.client.createSession({
+        return {
             model: model,
             streaming: true,
             skillDirectories: [SKILLS_DIR],
-        });
+            ...(skills ? { disabledSkills: this.skills.names().filter(name => !skills.includes(name)) } : {}),
+            tools: this.tools.sdkTools(sessionId),
+            ...(availableTools ? { availableTools } : {}),
+            ...(excludedTools ? { excludedTools } : {}),
+            ...(reasoningEffort ? { reasoningEffort } : {}),
+            workingDirectory: cwd,
+            onPermissionRequest: request => this.handlePermissionRequest(sessionId, request, {
+                workingDirectory: cwd,
+                outputDirectory: outputDir,
+            }),
+            systemMessage: {
+                mode: "append",
+                content: systemContent,
+            },
+        };
+    }
 
-        this.sessions.set(sessionId, {
+    // Track a live SDK session in memory
+    registerSession(sessionId, session, { model, owner = null, createdAt = new Date(), messageCount = 0, workspace = null }) {
+        const sessionData = {
             session,
             model,
-            createdAt: new Date(),
+            owner,
+            workspace, // Opened workspace ({ source, path, worktree, ref }) or null
+            createdAt,
+            messageCount,
+            eventSeq: 0,
+            events: new EventBuffer(),
+            turnStartSeq: 1,
+            activeTurn: null, // { turn, cancel, emit } while a prompt is being processed
+            pendingApprovals: new Map(), // requestId -> { settle } while waiting for the user
+        };
+        this.sessions.set(sessionId, sessionData);
+        this.lifecycle.add(sessionId, { owner, createdAt });
+        return sessionData;
+    }
+
+    // Store writes never fail a chat request; they are logged instead
+    saveRecord(record) {
+        try {
+            this.store.save(record);
+        } catch (e) {
+            log.error("Could not save session", { sessionId: record.id, error: e.message });
+        }
+    }
+
+    saveMessage(sessionId, message) {
+        try {
+            this.store.appendMessage(sessionId, { timestamp: new Date().toISOString(), ...message });
+        } catch (e) {
+            log.error("Could not save message", { sessionId, error: e.message });
+        }
+    }
+
+    // Throws an error with code UNKNOWN_SKILL if a skill name is not installed
+    validateSkills(skills) {
+        const installed = this.skills.names();
+        const unknown = skills.filter(name => !installed.includes(name));
+        if (unknown.length > 0) {
+            const error = new Error(`Unknown skills: ${unknown.join(", ")}`);
+            error.code = "UNKNOWN_SKILL";
+            throw error;
+        }
+    }
+
+    // Session options from a preset (presetId) with inline overrides on top. Throws an
+    // error with code UNKNOWN_PRESET, INVALID_PRESET, UNKNOWN_MODEL, UNKNOWN_SKILL or
+    // INVALID_WORKSPACE.
+    async resolveSessionOptions({ presetId = null, ...overrides } = {}) {
+        let preset = null;
+        if (presetId) {
+            preset = this.presets.get(presetId);
+            if (!preset) {
+                const error = new Error(`Unknown preset: ${presetId}`);
+                error.code = "UNKNOWN_PRESET";
+                throw error;
+            }
+        }
+        const inline = pickSessionOptions(overrides);
+        validateSessionOptions(inline);
+
+        const options = { ...pickSessionOptions(preset || {}), ...inline };
+        if (options.model) {
+            await this.validateModel(options.model);
+        }
+        if (options.skills) {
+            this.validateSkills(options.skills);
+        }
+        if (options.workspace) {
+            options.workspace = (await this.workspaces.resolve(options.workspace, { ref: options.workspaceRef })).path;
+        }
+        return { presetId, ...options };
+    }
+
+    // Open the workspace a session is bound to (see WorkspaceManager.open), or null
+    async openWorkspace(sessionId, { workspace = null, workspaceRef = null } = {}) {
+        return workspace ? await this.workspaces.open(workspace, { ref: workspaceRef, sessionId }) : null;
+    }
+
+    // Create an SDK session in a session's workspace; the workspace is released
+    // again if the session cannot be created
+    async createSdkSession(workspace, createSession) {
+        try {
+            return await createSession(workspace?.path || null);
+        } catch (error) {
+            metrics.sdkErrors.inc({ type: sdkErrorType(error) });
+            await this.workspaces.release(workspace);
+            throw error;
+        }
+    }
+
+    // Create a new session and return its ID. options are resolved session options
+    // (see resolveSessionOptions) without the model.
+    async createNewSession(model = DEFAULT_MODEL, { owner = null, presetId = null, ...options } = {}) {
+        await this.initialize();
+
+        const sessionId = `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+        log.info("Creating session", { sessionId, model });
+        await this.lifecycle.makeRoom(owner);
+
+        const workspace = await this.openWorkspace(sessionId, options);
+        const session = await withSpan("copilot.session.create", { "copilot.session.id": sessionId, "copilot.model": model }, () =>
+            this.createSdkSession(workspace, workingDirectory =>
+                this.client.createSession(this.sessionConfig(sessionId, model, { ...options, workingDirectory }))));
+        const sessionData = this.registerSession(sessionId, session, { model, owner, workspace });
+
+        this.saveRecord({
+            id: sessionId,
+            owner,
+            model,
+            presetId,
+            ...pickSessionOptions(options),
+            createdAt: sessionData.createdAt.toISOString(),
             messageCount: 0,
+            sdkSessionId: session.sessionId || null,
         });
 
-        console.log(`✓ Session ${sessionId} created successfully`);
+        log.info("Session created", { sessionId });
         return sessionId;
     }
 
-    // Get an existing session or create a new one
-    async getOrCreateSession(sessionId, model = "gpt-4.1") {
-        if (sessionId && this.sessions.has(sessionId)) {
-            console.log(`Using existing session: ${sessionId}`);
+    // Get an existing session (live or stored) or create a new one. Sessions past
+    // their maximum age are not continued; the prompt starts a new session instead.
+    async getOrCreateSession(sessionId, model = DEFAULT_MODEL, { owner = null, ...options } = {}) {
+        const live = sessionId ? this.sessions.get(sessionId) : null;
+        if (live && !this.lifecycle.isExpired(live.createdAt)) {
+            log.debug("Using existing session", { sessionId });
+            this.lifecycle.touch(sessionId);
             return sessionId;
         }
-        return await this.createNewSession(model);
+        if (live && !live.activeTurn) {
+            await this.lifecycle.evictSession(sessionId, "max_age");
+        }
+        const record = sessionId ? this.store.get(sessionId) : null;
+        if (record && this.lifecycle.isExpired(record.createdAt)) {
+            log.info("Session is past its maximum age, starting a new one", { sessionId });
+        } else if (record) {
+            await this.restoreSession(record);
+            return sessionId;
+        }
+        return await this.createNewSession(model, { owner, ...options });
+    }
+
+    // Bring a stored session back after a restart: resume the SDK session if the
+    // CLI still has it, otherwise start a new one primed with the stored transcript
+    async restoreSession(record) {
+        if (!this.restoring.has(record.id)) {
+            const restore = (async () => {
+                await this.initialize();
+                log.info("Restoring session from the session store", { sessionId: record.id });
+                await this.lifecycle.makeRoom(record.owner || null);
+
+                // An evicted session gets its worktree back; temporary worktrees do not
+                // survive a restart, so bare repositories are checked out again
+                const options = pickSessionOptions(record);
+                const workspace = this.evictedWorkspaces.get(record.id) || await this.openWorkspace(record.id, options);
+                this.evictedWorkspaces.delete(record.id);
+                const spanAttributes = { "copilot.session.id": record.id, "copilot.model": record.model };
+                const session = await withSpan("copilot.session.restore", spanAttributes, () => this.createSdkSession(workspace, async (workingDirectory) => {
+                    if (record.sdkSessionId) {
+                        try {
+                            const resumed = await this.client.resumeSession(record.sdkSessionId, this.sessionConfig(record.id, record.model, { ...options, workingDirectory }));
+                            log.info("Resumed SDK session", { sessionId: record.id });
+                            return resumed;
+                        } catch (e) {
+                            log.warn("Could not resume SDK session, rebuilding from transcript", { sessionId: record.id, error: e.message });
+                        }
+                    }
+                    const history = formatTranscript(this.store.messages(record.id));
+                    const rebuilt = await this.client.createSession(this.sessionConfig(record.id, record.model, { ...options, history, workingDirectory }));
+                    this.saveRecord({ id: record.id, sdkSessionId: rebuilt.sessionId || null });
+                    log.info("Rebuilt session from its transcript", { sessionId: record.id });
+                    return rebuilt;
+                }));
+
+                this.registerSession(record.id, session, {
+                    model: record.model,
+                    owner: record.owner || null,
+                    createdAt: new Date(record.createdAt),
+                    messageCount: record.messageCount || 0,
+                    workspace,
+                });
+            })();
+            this.restoring.set(record.id, restore);
+            restore.finally(() => this.restoring.delete(record.id)).catch(() => {});
+        }
+        await this.restoring.get(record.id);
+    }
+
+    // Stored record ({ id, owner, model, title, ... }) of a session, or null if unknown
+    getSession(sessionId) {
+        return this.store.get(sessionId);
     }
 
-    // Delete a session
+    // Ordered transcript (user, assistant and tool messages) of a stored session,
+    // or null if the session is unknown
+    getMessages(sessionId) {
+        const record = this.store.get(sessionId);
+        if (!record) {
+            return null;
+        }
+        return { session: record, messages: this.store.messages(sessionId) };
+    }
+
+    // Rename a stored session; returns the updated record or null if unknown
+    renameSession(sessionId, title) {
+        if (!this.store.get(sessionId)) {
+            return null;
+        }
+        return this.store.save({ id: sessionId, title });
+    }
+
+    // Delete a session, live or stored
     deleteSession(sessionId) {
-        if (this.sessions.has(sessionId)) {
-            console.log(`Deleting session: ${sessionId}`);
-            const sessionData = this.sessions.get(sessionId);
-            // Destroy the actual copilot session if possible
-            try {
-                sessionData.session.destroy?.();
-            } catch (e) {
-                console.warn("Could not destroy session:", e.message);
-            }
+        let stored = false;
+        try {
+            stored = this.store.delete(sessionId);
+        } catch (e) {
+            log.error("Could not delete stored session", { sessionId, error: e.message });
+        }
+
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData && !stored) {
+            return false;
+        }
+
+        log.info("Deleting session", { sessionId });
+        if (sessionData) {
+            // Close the SDK session in the CLI; deleting does not wait for it
+            sessionData.session.disconnect().catch((e) => {
+                log.warn("Could not disconnect session", { sessionId, error: e.message });
+            });
             this.sessions.delete(sessionId);
-            return true;
+            this.lifecycle.remove(sessionId);
+            this.workspaces.release(sessionData.workspace);
+        }
+        this.workspaces.release(this.evictedWorkspaces.get(sessionId));
+        this.evictedWorkspaces.delete(sessionId);
+        this.artifacts.releaseSession(sessionId);
+        this.attachments.deleteSession(sessionId);
+        return true;
+    }
+
+    // Disconnect a live session but keep its record and transcript, so the next prompt
+    // restores it (called by the session manager). Its worktree is kept with any
+    // uncommitted changes, unless the session is too old to be continued.
+    async evictSession(sessionId, reason) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData) {
+            return;
+        }
+        this.sessions.delete(sessionId);
+        try {
+            await sessionData.session.disconnect();
+        } catch (e) {
+            log.warn("Could not disconnect session", { sessionId, error: e.message });
+        }
+        if (reason === "max_age" || !sessionData.workspace?.worktree) {
+            await this.workspaces.release(sessionData.workspace);
+        } else {
+            this.evictedWorkspaces.set(sessionId, sessionData.workspace);
         }
-        return false;
     }
 
-    // List all active sessions
-    listSessions() {
-        const sessionList = [];
-        for (const [id, data] of this.sessions.entries()) {
-            sessionList.push({
-                id,
-                model: data.model,
-                createdAt: data.createdAt,
-                messageCount: data.messageCount,
+    // Decide an SDK permission request. Server policy approves or denies it outright;
+    // otherwise the user is asked through an approval_required event on the session's
+    // stream, and the tool waits for resolveApproval() (denied after APPROVAL_TIMEOUT_MS).
+    // Without a running turn to ask through (interactive: false), "ask" means deny.
+    async handlePermissionRequest(sessionId, request, { workingDirectory = null, outputDirectory = null, interactive = true } = {}) {
+        const description = describePermissionRequest(request);
+        const sessionData = sessionId ? this.sessions.get(sessionId) : null;
+        const turn = sessionData?.activeTurn;
+
+        let action = this.approvals.evaluate(description, { workingDirectory, outputDirectory });
+        if (action === "ask" && !(interactive && turn?.emit)) {
+            action = "deny";
+        }
+        if (action !== "ask") {
+            log.info("Permission request decided by policy", { sessionId, tool: description.toolName, approved: action === "approve" });
+            return action === "approve"
+                ? { kind: "approve-once" }
+                : { kind: "reject", feedback: "Denied by the server's approval policy" };
+        }
+
+        const requestId = crypto.randomUUID();
+        const { approved, by, feedback } = await new Promise((resolve) => {
+            const settle = (approved, by, feedback = null) => {
+                clearTimeout(timer);
+                if (!sessionData.pendingApprovals.delete(requestId)) {
+                    return;
+                }
+                log.info("Permission request decided", { sessionId, requestId, tool: description.toolName, approved, by });
+                turn.emit("approval_resolved", { requestId, toolCallId: description.toolCallId, approved, by });
+                resolve({ approved, by, feedback });
+            };
+            const timer = setTimeout(() => settle(false, "timeout"), APPROVAL_TIMEOUT_MS);
+            sessionData.pendingApprovals.set(requestId, { settle });
+
+            log.info("Waiting for approval", { sessionId, requestId, tool: description.toolName });
+            turn.emit("approval_required", {
+                requestId,
+                ...description,
+                expiresAt: new Date(Date.now() + APPROVAL_TIMEOUT_MS).toISOString(),
             });
+        });
+
+        return approved
+            ? { kind: "approve-once" }
+            : { kind: "reject", feedback: feedback || (by === "user" ? "Denied by the user" : `Not approved (${by})`) };
+    }
+
+    // Answer a pending approval_required event. Returns null for unknown sessions
+    // and false when the request is not (or no longer) pending.
+    resolveApproval(sessionId, requestId, approved, { feedback = null } = {}) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData) {
+            return null;
+        }
+        const pending = sessionData.pendingApprovals.get(requestId);
+        if (!pending) {
+            return false;
+        }
+        pending.settle(approved, "user", feedback);
+        return true;
+    }
+
+    // Snapshot of a workspace's files (see WorkspaceManager.snapshot), or null if the
+    // session has no workspace or the snapshot fails
+    async snapshotWorkspace(workspace) {
+        if (!workspace) {
+            return null;
+        }
+        try {
+            return await this.workspaces.snapshot(workspace.path);
+        } catch (e) {
+            log.warn("Could not snapshot workspace", { path: workspace.path, error: e.message });
+            return null;
         }
-        return sessionList;
     }
 
-    async sendPrompt(prompt, model = "gpt-4.1", streaming = false, sessionId = null) {
+    // What a turn changed in the workspace since the before snapshot:
+    // { before, after, files: [{ path, status }] }, or null if unknown
+    async workspaceChanges(workspace, before) {
+        const after = before ? await this.snapshotWorkspace(workspace) : null;
+        if (!after) {
+            return null;
+        }
+        try {
+            return { before, after, files: await this.workspaces.changedFiles(workspace.path, before, after) };
+        } catch (e) {
+            log.warn("Could not list workspace changes", { path: workspace.path, error: e.message });
+            return null;
+        }
+    }
+
+    // Files a turn changed in the session's workspace with their unified diff:
+    // { turn, files, diff, truncated }. Returns null if the session is unknown or
+    // no changes were recorded for that turn.
+    async getTurnChanges(sessionId, turn) {
+        const record = this.store.get(sessionId);
+        if (!record?.workspace) {
+            return null;
+        }
+        const message = this.store.messages(sessionId)
+            .find(item => item.role === "assistant" && item.turn === turn && item.changes);
+        if (!message) {
+            return null;
+        }
+        const { before, after, files } = message.changes;
+        // Worktrees share the object database of the repository they came from
+        const { diff, truncated } = await this.workspaces.diff(record.workspace, before, after);
+        return { turn, files, diff, truncated };
+    }
+
+    // Cancel the prompt a session is currently processing.
+    // Returns null for unknown sessions and false when nothing was running.
+    async abortTurn(sessionId) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData) {
+            return null;
+        }
+        if (!sessionData.activeTurn?.cancel) {
+            return false;
+        }
+        await sessionData.activeTurn.cancel();
+        return true;
+    }
+
+    // Replay a session's buffered events after afterSeq (default: from the start of the
+    // latest turn), then follow live events while a turn is running.
+    // Returns null for unknown sessions, otherwise { active, unfollow }.
+    followEvents(sessionId, afterSeq, onEvent) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData) {
+            return null;
+        }
+
+        const from = Number.isInteger(afterSeq) ? afterSeq : sessionData.turnStartSeq - 1;
+        // Events the client missed are gone: tell it, so it reloads the transcript
+        // once the turn is done instead of showing an answer with a hole in it
+        if (sessionData.events.missed(from)) {
+            onEvent({ type: "reset", data: { sessionId, reason: "events_dropped" } });
+        }
+        for (const event of sessionData.events.since(from)) {
+            onEvent(event);
+        }
+
+        if (!sessionData.activeTurn) {
+            return { active: false, unfollow: () => {} };
+        }
+        return { active: true, unfollow: sessionData.events.subscribe(onEvent) };
+    }
+
+    // Summary of a stored session for the API. lastUsedAt and expiresAt come from the
+    // session manager while the session is live; stored sessions only expire by age.
+    describeSession(record) {
+        const live = this.sessions.get(record.id);
+        const lifecycle = live ? this.lifecycle.describe(record.id) : null;
+        const maxAgeExpiry = new Date(new Date(record.createdAt).getTime() + this.lifecycle.maxAgeMs);
+        return {
+            id: record.id,
+            owner: record.owner || null,
+            title: record.title || null,
+            model: record.model,
+            presetId: record.presetId || null,
+            skills: record.skills || null,
+            workspace: record.workspace || null,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            messageCount: live ? live.messageCount : (record.messageCount || 0),
+            active: Boolean(live),
+            busy: Boolean(live?.activeTurn),
+            lastUsedAt: lifecycle?.lastUsedAt || record.updatedAt || null,
+            expiresAt: lifecycle?.expiresAt || maxAgeExpiry.toISOString(),
+            expiresBecause: lifecycle?.expiresBecause || "max_age",
+            expired: this.lifecycle.isExpired(record.createdAt),
+        };
+    }
+
+    // List stored sessions (all, or one owner's), most recently used first
+    listSessions({ owner } = {}) {
+        return this.store.list()
+            .filter(record => owner === undefined || record.owner === owner)
+            .map(record => this.describeSession(record))
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    }
+
+    // One-shot sessions work in a scratch outputs/oneshot-<id>/ directory, their
+    // working and output directory for the approval rules; release it with
+    // artifacts.releaseSession(id) when the answer is in
+    oneShotDirectory() {
+        const id = `oneshot-${crypto.randomUUID()}`;
+        return { id, dir: this.artifacts.ensureSessionDir(id) };
+    }
+
+    // attachments are stored attachments (see AttachmentStore.resolve) sent along with the prompt;
+    // the turn's usage is accounted to owner
+    async sendPrompt(prompt, model = DEFAULT_MODEL, streaming = false, sessionId = null, attachments = [], owner = null) {
         await this.initialize();
 
-        console.log(`Creating session with model: ${model}, streaming: ${streaming}`);
+        log.info("Creating one-shot session", { model, streaming });
 
+        const scratch = this.oneShotDirectory();
         try {
             const session = await this.client.createSession({
                 model: model,
                 streaming: streaming,
                 skillDirectories: [SKILLS_DIR],
+                workingDirectory: scratch.dir,
+                onPermissionRequest: request => this.handlePermissionRequest(null, request, {
+                    workingDirectory: scratch.dir,
+                    outputDirectory: scratch.dir,
+                    interactive: false,
+                }),
             });
 
-            console.log("✓ Session created successfully");
+            log.info("Session created successfully");
 
+            const usage = emptyUsage();
             return new Promise((resolve, reject) => {
                 let fullResponse = "";
                 const chunks = [];
 
+                // SDK events arrive outside the request's log context
+                const eventLog = log.child(currentLogContext());
+
                 // Use generic event handler (compatible with all SDK versions)
                 session.on((event) => {
-                    console.log("Event received:", event.type);
-                    
+                    eventLog.debug("Event received", { type: event.type });
+
                     if (event.type === "assistant.message_delta") {
                         const content = event.data?.deltaContent || "";
                         if (content) {
                             fullResponse += content;
                             chunks.push(content);
-                            console.log("Delta received:", content.substring(0, 50));
+                            eventLog.debug("Delta received", { content });
                         }
                     }
                     else if (event.type === "assistant.message") {
@@ -153,280 +686,581 @@ class CopilotService {
                         if (content && !fullResponse) {
                             fullResponse = content;
                         }
-                        console.log("✓ Received full message:", content.substring(0, 100));
+                        eventLog.debug("Received full message", { content });
+                    }
+                    else if (event.type === "assistant.usage") {
+                        addUsage(usage, event.data);
                     }
                     else if (event.type === "session.idle") {
-                        console.log("✓ Session idle, resolving with response");
+                        eventLog.info("Session idle, resolving with response");
                         resolve({ fullResponse, chunks });
                     }
                     else if (event.type === "session.error") {
-                        console.error("Session error event:", event.data);
+                        eventLog.error("Session error event", { errorType: event.data?.errorType, error: event.data?.message });
+                        metrics.sdkErrors.inc({ type: sdkErrorType(event.data) });
                         reject(new Error(event.data?.message || "Unknown error"));
                     }
                 });
 
-                console.log("Sending prompt to session...");
-                session.sendAndWait({ prompt })
+                log.info("Sending prompt to session");
+                session.sendAndWait({ prompt, ...(attachments.length > 0 ? { attachments: toSdkAttachments(attachments) } : {}) })
                     .then((result) => {
-                        console.log("✓ sendAndWait completed");
+                        log.info("sendAndWait completed");
                         // If no response collected via events, use the result
                         if (!fullResponse && result?.data?.content) {
                             fullResponse = result.data.content;
                         }
                     })
                     .catch((error) => {
-                        console.error("Error in sendAndWait:", error);
+                        log.error("Error in sendAndWait", { error });
                         reject(error);
                     });
+            }).finally(async () => {
+                try {
+                    await session.disconnect();
+                } catch (e) {
+                    log.warn("Could not disconnect session", { error: e.message });
+                }
+                this.artifacts.releaseSession(scratch.id);
+                await this.recordUsage({ owner, source: "chat", model, usage });
             });
         } catch (error) {
-            console.error("Error creating session or sending prompt:", error);
+            log.error("Error creating session or sending prompt", { error });
+            this.artifacts.releaseSession(scratch.id);
             throw error;
         }
     }
 
-    async sendPromptStreaming(prompt, model = "gpt-4.1", onChunk, onComplete, onError, sessionId = null) {
-        try {
-            await this.initialize();
-
-            let session;
-            let currentSessionId;
+    // Response cache key of a single-shot prompt (see cacheKey). pipeline is what
+    // answers it: "chat" (sendPrompt), "completion" (complete) or "session" (a new
+    // session, see sendPromptStreaming). Without a skill list every installed skill
+    // is enabled, so the installed set is part of the key.
+    responseCacheKey(prompt, pipeline, { model = DEFAULT_MODEL, presetId = null, skills = null, ...options } = {}) {
+        return cacheKey({ pipeline, prompt, model, presetId, skills: skills || this.skills.names(), options });
+    }
 
-            // Always create a new session for streaming to ensure streaming: true is applied
-            // Session reuse can cause issues with event handlers and streaming flags
-            currentSessionId = `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-            console.log(`Creating new streaming session: ${currentSessionId} with model: ${model}`);
+    // Answer a single prompt in a throwaway session that is disconnected afterwards
+    // (nothing is stored). onDelta receives text as it streams; aborting signal
+    // cancels the request. Resolves with { content, model, usage }; the usage is
+    // accounted to owner under source ("completion", "batch", ...).
+    async complete(prompt, { model = DEFAULT_MODEL, systemMessage = null, onDelta = () => {}, signal = null, owner = null, source = "completion" } = {}) {
+        await this.initialize();
 
+        // The span covers the throwaway session from creation to disconnect
+        const span = startChildSpan("copilot.completion", { "copilot.model": model, "copilot.source": source });
+        const startedAt = Date.now();
+        let status = "error";
+        let session = null;
+        let unsubscribe = () => {};
+        let timeoutId = null;
+        let onAbort = null;
+        const usage = emptyUsage();
+        const scratch = this.oneShotDirectory();
+        try {
             session = await this.client.createSession({
-                model: model,
+                model,
                 streaming: true,
                 skillDirectories: [SKILLS_DIR],
+                tools: this.tools.sdkTools(),
+                workingDirectory: scratch.dir,
+                onPermissionRequest: request => this.handlePermissionRequest(null, request, {
+                    workingDirectory: scratch.dir,
+                    outputDirectory: scratch.dir,
+                    interactive: false,
+                }),
+                ...(systemMessage ? { systemMessage: { mode: "append", content: systemMessage } } : {}),
             });
 
-            this.sessions.set(currentSessionId, {
-                session,
-                model,
-                createdAt: new Date(),
-                messageCount: 1,
-            });
+            const result = await new Promise((resolve, reject) => {
+                let content = "";
+                let sentAt = Date.now();
+                const firstToken = () => {
+                    if (!content) {
+                        metrics.timeToFirstToken.observe({ model, source }, (Date.now() - sentAt) / 1000);
+                    }
+                };
 
-            console.log(`✓ Streaming session ${currentSessionId} created with streaming: true`);
+                unsubscribe = session.on((event) => {
+                    if (event.type === "assistant.message_delta") {
+                        const delta = event.data?.deltaContent || "";
+                        if (delta) {
+                            firstToken();
+                            content += delta;
+                            onDelta(delta);
+                        }
+                    } else if (event.type === "assistant.message") {
+                        // Non-streamed reply: pass the whole message on as one delta
+                        const message = event.data?.content || "";
+                        if (message && !content) {
+                            firstToken();
+                            content = message;
+                            onDelta(message);
+                        }
+                    } else if (event.type === "assistant.usage") {
+                        addUsage(usage, event.data);
+                    } else if (event.type === "session.idle") {
+                        resolve({ content, model, usage });
+                    } else if (event.type === "session.error") {
+                        metrics.sdkErrors.inc({ type: sdkErrorType(event.data) });
+                        reject(new Error(event.data?.message || "Unknown error"));
+                    }
+                });
 
-            return new Promise((resolve, reject) => {
-                let hasCompleted = false;
-                let hasError = false;
-                let hasReceivedContent = false;
-                let fileWatcher = null;
-                let notifiedFiles = new Set();
-
-                // Track existing files to detect new ones
-                const existingFiles = new Set();
-                try {
-                    fs.readdirSync(OUTPUTS_DIR).forEach(file => existingFiles.add(file));
-                } catch (e) {
-                    console.log("Could not read outputs dir:", e.message);
+                timeoutId = setTimeout(() => reject(new Error("Request timeout after 5 minutes")), 5 * 60 * 1000);
+                if (signal) {
+                    onAbort = () => {
+                        Promise.resolve(session.abort?.()).catch(() => {});
+                        const error = new Error("Request cancelled");
+                        error.code = "CANCELLED";
+                        reject(error);
+                    };
+                    if (signal.aborted) {
+                        return onAbort();
+                    }
+                    signal.addEventListener("abort", onAbort, { once: true });
                 }
 
-                // Watch for new files in outputs directory
-                try {
-                    fileWatcher = fs.watch(OUTPUTS_DIR, (eventType, filename) => {
-                        if (eventType === 'rename' && filename && !existingFiles.has(filename) && !notifiedFiles.has(filename)) {
-                            setTimeout(() => {
-                                try {
-                                    const filePath = path.join(OUTPUTS_DIR, filename);
-                                    const stats = fs.statSync(filePath);
-                                    if (stats.size > 0 && !notifiedFiles.has(filename)) {
-                                        notifiedFiles.add(filename);
-                                        console.log(`✓ New file detected: ${filename} (${stats.size} bytes)`);
-                                        const downloadMessage = `\n\n---\n\n✅ **Your file is ready!**\n\n📥 **[Click here to download: ${filename}](/outputs/${encodeURIComponent(filename)})**\n\n💡 *Right-click and "Save As" to save the file, or click to view in your browser.*\n\n---\n`;
-                                        if (!hasCompleted && !hasError) {
-                                            onChunk(downloadMessage);
-                                        }
-                                    }
-                                } catch (e) {
-                                    console.log("File not ready yet:", e.message);
-                                }
-                            }, 500);
-                        }
+                sentAt = Date.now();
+                session.send({ prompt }).catch(reject);
+            });
+            status = "completed";
+            return result;
+        } catch (error) {
+            if (error.code === "CANCELLED") {
+                status = "cancelled";
+            } else {
+                if (!session) {
+                    metrics.sdkErrors.inc({ type: sdkErrorType(error) });
+                }
+                recordSpanError(span, error);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener("abort", onAbort);
+            unsubscribe?.();
+            try {
+                await session?.disconnect();
+            } catch (e) {
+                log.warn("Could not disconnect session", { error: e.message });
+            }
+            this.artifacts.releaseSession(scratch.id);
+            await this.recordUsage({ owner, source, model, usage });
+            metrics.streamDuration.observe({ model, source, status }, (Date.now() - startedAt) / 1000);
+            span.setAttributes({ "copilot.status": status, "copilot.input_tokens": usage.inputTokens, "copilot.output_tokens": usage.outputTokens });
+            span.end();
+        }
+    }
+
+    // Store the usage of a turn that reached the model, costed with the premium
+    // request multiplier the model catalog lists for the model it ran on
+    async recordUsage({ owner = null, sessionId = null, source, model, usage }) {
+        if (usage.apiCalls === 0) {
+            return null;
+        }
+        usage.model = usage.model || model;
+        let premiumMultiplier = null;
+        try {
+            const info = (await this.models.get(usage.model)) || (await this.models.get(model));
+            premiumMultiplier = info?.premiumMultiplier ?? null;
+        } catch (e) {
+            log.warn("Could not look up the premium multiplier", { model: usage.model, error: e.message });
+        }
+        const entry = this.usage.record({ owner, sessionId, source, usage, premiumMultiplier: premiumMultiplier ?? 1 });
+        metrics.tokens.inc({ model: entry.model, kind: "input" }, entry.inputTokens);
+        metrics.tokens.inc({ model: entry.model, kind: "output" }, entry.outputTokens);
+        metrics.tokens.inc({ model: entry.model, kind: "cache_read" }, entry.cacheReadTokens);
+        metrics.tokens.inc({ model: entry.model, kind: "cache_write" }, entry.cacheWriteTokens);
+        metrics.premiumRequests.inc({ model: entry.model }, entry.premiumRequests);
+        return entry;
+    }
+
+    // Throws an error with code BUDGET_EXCEEDED once owner has used up today's premium
+    // requests; error.budget is the budget status, error.retryAfter the seconds until it resets
+    checkBudget(owner) {
+        const status = this.usage.budgetStatus(owner);
+        if (status && status.remaining <= 0) {
+            const error = new Error(`Daily budget of ${status.budget} premium requests used up; it resets at ${status.resetAt}`);
+            error.code = "BUDGET_EXCEEDED";
+            error.budget = status;
+            error.retryAfter = Math.max(1, Math.ceil((Date.parse(status.resetAt) - Date.now()) / 1000));
+            throw error;
+        }
+    }
+
+    // Models offered by the Copilot CLI for the signed-in account (cached, see ModelCatalog)
+    async listModels() {
+        return await this.models.list();
+    }
+
+    // Throws an error with code UNKNOWN_MODEL for models the CLI does not offer
+    async validateModel(model) {
+        await this.models.validate(model);
+    }
+
+    // Stream a prompt into a session. onEvent receives { seq, type, data } objects of type
+    // session, reasoning, delta, tool_start, tool_end, approval_required, approval_resolved,
+    // file, changes, done or error.
+    // Resolves with { sessionId, turn, status } once the turn is over.
+    // options (preset and overrides, see resolveSessionOptions) only apply to a new session.
+    // attachments are the session's stored attachments (see AttachmentStore.resolve) to send along.
+    async sendPromptStreaming(prompt, { model = DEFAULT_MODEL, sessionId = null, owner = null, options = {}, attachments = [], interactive = true, onEvent = () => {} } = {}) {
+        await this.initialize();
+
+        // Reuse the caller's session so follow-up prompts keep their context;
+        // unknown or missing IDs get a fresh session
+        const currentSessionId = await this.getOrCreateSession(sessionId, model, { owner, ...options });
+        const sessionData = this.sessions.get(currentSessionId);
+        const session = sessionData.session;
+
+        if (sessionData.activeTurn) {
+            throw new Error(`Session ${currentSessionId} is still processing a previous prompt`);
+        }
+        sessionData.messageCount++;
+        const turn = sessionData.messageCount;
+        sessionData.activeTurn = { turn, cancel: null };
+        metrics.activeTurns.inc();
+        // Tool spans are children of the turn's span
+        const turnSpan = startChildSpan("copilot.turn", { "copilot.session.id": currentSessionId, "copilot.turn": turn, "copilot.model": sessionData.model });
+        const turnStartedAt = Date.now();
+        // SDK events arrive outside this request's context, so the turn's log lines
+        // carry its correlation fields explicitly
+        addLogContext({ sessionId: currentSessionId });
+        const turnLog = log.child({ ...currentLogContext(), sessionId: currentSessionId, turn });
+
+        // Sequence numbers keep increasing across turns of the same session.
+        // Every event is also buffered so a dropped client can catch up via followEvents.
+        sessionData.turnStartSeq = sessionData.eventSeq + 1;
+        const emit = (type, data = {}) => {
+            const event = { seq: ++sessionData.eventSeq, type, data };
+            sessionData.events.push(event);
+            try {
+                onEvent(event);
+            } catch (err) {
+                turnLog.error("Error handling stream event", { type, error: err });
+            }
+        };
+
+        // Lets permission requests during this turn ask the client; clients that
+        // cannot answer them (legacy protocol) get "ask" rules treated as deny
+        sessionData.activeTurn.emit = interactive ? emit : null;
+
+        turnLog.info("Streaming turn", { model: sessionData.model });
+        this.saveRecord({
+            id: currentSessionId,
+            messageCount: turn,
+            // Untitled sessions are named after their first prompt
+            ...(this.store.get(currentSessionId)?.title ? {} : { title: defaultTitle(prompt) }),
+        });
+        this.saveMessage(currentSessionId, {
+            role: "user",
+            content: prompt,
+            ...(attachments.length > 0 ? { attachments: attachments.map(({ id, name }) => ({ id, name })) } : {}),
+            turn,
+        });
+        emit("session", { sessionId: currentSessionId, model: sessionData.model, turn });
+
+        // Files in the workspace before the turn, to report what it changed
+        const workspaceBefore = await this.snapshotWorkspace(sessionData.workspace);
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let isFinishing = false;
+            let hasReceivedContent = false;
+            let answer = "";
+            let sentAt = Date.now();
+            let firstTokenSeen = false;
+            let fileWatcher = null;
+            let unsubscribe = null;
+            let timeoutId = null;
+            const notifiedFiles = new Set();
+            const runningTools = new Map(); // toolCallId -> { toolName, arguments, startedAt, span }
+            const usage = emptyUsage();
+
+            // Only this session's output directory is watched, so concurrent
+            // sessions never see each other's files
+            const outputDir = this.artifacts.ensureSessionDir(currentSessionId);
+            const existingFiles = this.artifacts.snapshot(currentSessionId);
+
+            const notifyFile = (filename) => {
+                if (settled || existingFiles.has(filename) || notifiedFiles.has(filename)) {
+                    return;
+                }
+                const file = this.artifacts.get(currentSessionId, filename);
+                if (file && file.size > 0) {
+                    notifiedFiles.add(filename);
+                    turnLog.info("New file detected", { file: filename, size: file.size });
+                    metrics.artifacts.inc();
+                    metrics.artifactBytes.inc(file.size);
+                    turnSpan.addEvent("file", { "file.name": file.name, "file.size": file.size });
+                    emit("file", {
+                        name: file.name,
+                        size: file.size,
+                        url: file.url,
+                        sessionId: currentSessionId,
                     });
-                } catch (e) {
-                    console.log("Could not set up file watcher:", e.message);
                 }
+            };
 
-                const cleanup = () => {
-                    if (fileWatcher) {
-                        fileWatcher.close();
-                        fileWatcher = null;
+            // Watch for new files in the session's output directory
+            try {
+                fileWatcher = fs.watch(outputDir, (eventType, filename) => {
+                    if (eventType === 'rename' && filename) {
+                        // Give the writer a moment to finish before checking the size
+                        setTimeout(() => notifyFile(filename), 500);
                     }
-                };
+                });
+            } catch (e) {
+                turnLog.warn("Could not set up file watcher", { error: e.message });
+            }
 
-                const checkForNewFiles = () => {
-                    try {
-                        const currentFiles = fs.readdirSync(OUTPUTS_DIR);
-                        currentFiles.forEach(file => {
-                            if (!existingFiles.has(file) && !notifiedFiles.has(file)) {
-                                const filePath = path.join(OUTPUTS_DIR, file);
-                                const stats = fs.statSync(filePath);
-                                if (stats.size > 0) {
-                                    notifiedFiles.add(file);
-                                    console.log(`✓ File found: ${file} (${stats.size} bytes)`);
-                                    const downloadMessage = `\n\n---\n\n✅ **Your file is ready!**\n\n📥 **[Click here to download: ${file}](/outputs/${encodeURIComponent(file)})**\n\n💡 *Right-click and "Save As" to save the file, or click to view in your browser.*\n\n---\n`;
-                                    onChunk(downloadMessage);
-                                }
-                            }
-                        });
-                    } catch (e) {
-                        console.log("Could not check for new files:", e.message);
-                    }
-                };
+            // Observe a first reasoning or answer token
+            const firstToken = () => {
+                if (!firstTokenSeen) {
+                    firstTokenSeen = true;
+                    metrics.timeToFirstToken.observe({ model: sessionData.model, source: "session" }, (Date.now() - sentAt) / 1000);
+                }
+            };
 
-                // Timeout for long-running requests (5 minutes)
-                const timeoutId = setTimeout(() => {
-                    if (!hasCompleted && !hasError) {
-                        console.warn("⚠ Streaming timeout - completing request");
-                        checkForNewFiles();
-                        cleanup();
-                        hasCompleted = true;
-                        onComplete(currentSessionId);
-                        resolve(currentSessionId);
-                    }
-                }, 300000);
+            const cleanup = (status, error = null) => {
+                clearTimeout(timeoutId);
+                if (fileWatcher) {
+                    fileWatcher.close();
+                    fileWatcher = null;
+                }
+                // Drop this turn's subscription so its late events cannot leak into the next turn
+                if (typeof unsubscribe === "function") {
+                    unsubscribe();
+                    unsubscribe = null;
+                }
+                // Tools still waiting for the user are denied when the turn ends
+                for (const { settle } of [...sessionData.pendingApprovals.values()]) {
+                    settle(false, "turn ended");
+                }
+                sessionData.activeTurn = null;
+                this.lifecycle.touch(currentSessionId);
 
-                // Use generic event handler (compatible with all SDK versions)
-                console.log("Registering event handler on session...");
-                session.on((event) => {
-                    try {
-                        console.log("========================================");
-                        console.log("Event received:", event.type);
-                        console.log("Event data:", JSON.stringify(event.data || {}).substring(0, 200));
-                        console.log("========================================");
-                        
-                        if (event.type === "assistant.message_delta") {
-                            if (!hasCompleted && !hasError) {
-                                const content = event.data?.deltaContent || "";
-                                if (content) {
-                                    hasReceivedContent = true;
-                                    console.log("Streaming delta:", content.substring(0, 50));
-                                    onChunk(content);
-                                }
-                            }
-                        }
-                        else if (event.type === "assistant.reasoning_delta") {
-                            if (!hasCompleted && !hasError) {
-                                const content = event.data?.deltaContent || "";
-                                if (content) {
-                                    hasReceivedContent = true;
-                                    console.log("Reasoning delta:", content.substring(0, 50));
-                                    // Send reasoning to client so they see real-time progress
-                                    onChunk(content);
-                                }
-                            }
-                        }
-                        else if (event.type === "assistant.message") {
-                            // Final complete message - only use if no deltas received
-                            if (!hasCompleted && !hasError && !hasReceivedContent) {
-                                const content = event.data?.content || "";
-                                if (content) {
-                                    console.log("Full message (no streaming):", content.substring(0, 100));
-                                    onChunk(content);
-                                }
-                            }
+                metrics.activeTurns.dec();
+                metrics.streamDuration.observe({ model: sessionData.model, source: "session", status }, (Date.now() - turnStartedAt) / 1000);
+                for (const tool of runningTools.values()) {
+                    tool.span.end();
+                }
+                turnSpan.setAttributes({ "copilot.status": status, "copilot.input_tokens": usage.inputTokens, "copilot.output_tokens": usage.outputTokens });
+                if (error) {
+                    recordSpanError(turnSpan, error);
+                }
+                turnSpan.end();
+                this.recordUsage({ owner: sessionData.owner, sessionId: currentSessionId, source: "session", model: sessionData.model, usage })
+                    .catch(err => turnLog.error("Error recording usage", { error: err }));
+            };
+
+            const finish = async (status) => {
+                if (settled) {
+                    return;
+                }
+                this.artifacts.snapshot(currentSessionId).forEach(notifyFile);
+                settled = true;
+                // The turn stays active until its workspace changes are recorded
+                const changes = await this.workspaceChanges(sessionData.workspace, workspaceBefore);
+                cleanup(status);
+                turnLog.info("Turn finished", { status });
+                if (changes) {
+                    emit("changes", { sessionId: currentSessionId, turn, files: changes.files });
+                }
+                this.saveMessage(currentSessionId, {
+                    role: "assistant",
+                    content: answer,
+                    model: sessionData.model,
+                    turn,
+                    status,
+                    usage: { ...usage },
+                    ...(changes ? { changes } : {}),
+                });
+                emit("done", { sessionId: currentSessionId, turn, status });
+                resolve({ sessionId: currentSessionId, turn, status });
+            };
+
+            // Abort the turn in the SDK session and close the stream as cancelled
+            sessionData.activeTurn.cancel = async () => {
+                if (settled) {
+                    return;
+                }
+                turnLog.info("Cancelling turn");
+                try {
+                    await session.abort?.();
+                } catch (e) {
+                    turnLog.warn("Could not abort session", { error: e.message });
+                }
+                finish("cancelled");
+            };
+
+            const fail = (error) => {
+                if (settled) {
+                    return;
+                }
+                cleanup("error", error);
+                settled = true;
+                this.saveMessage(currentSessionId, { role: "assistant", content: answer, model: sessionData.model, turn, status: "error", error: error.message });
+                emit("error", { sessionId: currentSessionId, turn, message: error.message });
+                // Already reported through the error event
+                error.handled = true;
+                reject(error);
+            };
+
+            // Timeout for long-running requests (5 minutes)
+            timeoutId = setTimeout(() => {
+                turnLog.warn("Streaming timeout, completing turn");
+                finish("timeout");
+            }, 300000);
+
+            // Use generic event handler (compatible with all SDK versions)
+            turnLog.debug("Registering event handler");
+            unsubscribe = session.on((event) => {
+                if (settled) {
+                    return;
+                }
+                try {
+                    if (event.type === "assistant.message_delta") {
+                        const content = event.data?.deltaContent || "";
+                        if (content) {
+                            firstToken();
+                            hasReceivedContent = true;
+                            answer += content;
+                            emit("delta", { content });
                         }
-                        else if (event.type === "tool.execution_start") {
-                            if (!hasCompleted && !hasError) {
-                                const toolName = event.data?.toolName || "tool";
-                                console.log(`Tool execution started: ${toolName}`);
-                            }
+                    }
+                    else if (event.type === "assistant.reasoning_delta") {
+                        const content = event.data?.deltaContent || "";
+                        if (content) {
+                            firstToken();
+                            emit("reasoning", { content });
                         }
-                        else if (event.type === "tool.execution_complete") {
-                            if (!hasCompleted && !hasError) {
-                                const toolCallId = event.data?.toolCallId || "";
-                                console.log(`Tool execution complete: ${toolCallId}`);
-                            }
+                    }
+                    else if (event.type === "assistant.message") {
+                        // Final complete message - only use if no deltas received
+                        const content = event.data?.content || "";
+                        if (content && !hasReceivedContent) {
+                            firstToken();
+                            hasReceivedContent = true;
+                            answer = content;
+                            emit("delta", { content });
                         }
-                        else if (event.type === "session.idle") {
-                            if (!hasCompleted && !hasError) {
-                                console.log("✓ Session idle - stream complete");
-                                clearTimeout(timeoutId);
-                                
-                                // Small delay to ensure files are written
-                                setTimeout(() => {
-                                    checkForNewFiles();
-                                    cleanup();
-                                    hasCompleted = true;
-                                    console.log("✓ Stream completed for session:", currentSessionId);
-                                    onComplete(currentSessionId);
-                                    resolve(currentSessionId);
-                                }, 1000);
-                            }
+                    }
+                    else if (event.type === "tool.execution_start") {
+                        const toolCallId = event.data?.toolCallId || "";
+                        const tool = {
+                            toolName: event.data?.toolName || "tool",
+                            arguments: event.data?.arguments ?? null,
+                            startedAt: Date.now(),
+                        };
+                        tool.span = startChildSpan(`copilot.tool ${tool.toolName}`, {
+                            "copilot.tool.name": tool.toolName,
+                            "copilot.tool.call_id": toolCallId,
+                            "copilot.tool.custom": this.tools.has(tool.toolName),
+                        }, turnSpan);
+                        runningTools.set(toolCallId, tool);
+                        turnLog.info("Tool execution started", { tool: tool.toolName, toolCallId });
+                        emit("tool_start", {
+                            toolCallId,
+                            toolName: tool.toolName,
+                            arguments: tool.arguments,
+                            custom: this.tools.has(tool.toolName),
+                        });
+                    }
+                    else if (event.type === "tool.execution_complete") {
+                        const toolCallId = event.data?.toolCallId || "";
+                        const tool = runningTools.get(toolCallId) || { toolName: event.data?.toolName || "tool", arguments: null };
+                        runningTools.delete(toolCallId);
+                        const durationMs = tool.startedAt ? Date.now() - tool.startedAt : null;
+                        const toolResult = {
+                            toolCallId,
+                            toolName: tool.toolName,
+                            arguments: tool.arguments,
+                            success: event.data?.success !== false,
+                            error: event.data?.error?.message || null,
+                            result: truncateResult(event.data?.result?.content),
+                            custom: this.tools.has(tool.toolName),
+                            durationMs,
+                        };
+                        turnLog.info("Tool execution complete", { tool: tool.toolName, toolCallId, success: toolResult.success, durationMs });
+                        this.saveMessage(currentSessionId, { role: "tool", ...toolResult, model: sessionData.model, turn });
+                        metrics.toolExecutions.inc({ tool: tool.toolName, status: toolResult.success ? "success" : "failure" });
+                        if (durationMs !== null) {
+                            metrics.toolDuration.observe({ tool: tool.toolName }, durationMs / 1000);
                         }
-                        else if (event.type === "session.error") {
-                            if (!hasError) {
-                                clearTimeout(timeoutId);
-                                cleanup();
-                                hasError = true;
-                                console.error("Session error:", event.data);
-                                const error = new Error(event.data?.message || "Session error");
-                                if (onError) {
-                                    onError(error);
-                                }
-                                reject(error);
+                        if (tool.span) {
+                            if (!toolResult.success) {
+                                recordSpanError(tool.span, new Error(toolResult.error || "Tool failed"));
                             }
+                            tool.span.end();
                         }
-                    } catch (err) {
-                        console.error("Error in event handler:", err);
+                        emit("tool_end", toolResult);
                     }
-                });
-
-                // Send the prompt using send() for streaming (not sendAndWait)
-                console.log("Sending prompt to streaming session...");
-                console.log("Prompt:", prompt.substring(0, 100));
-                session.send({ prompt })
-                    .then((messageId) => {
-                        console.log(`✓ Prompt sent successfully, message ID: ${messageId}`);
-                        console.log("Waiting for streaming events...");
-                    })
-                    .catch((error) => {
-                        clearTimeout(timeoutId);
-                        cleanup();
-                        hasError = true;
-                        console.error("Error sending prompt:", error);
-                        if (onError) {
-                            onError(error);
+                    else if (event.type === "assistant.usage") {
+                        addUsage(usage, event.data);
+                    }
+                    else if (event.type === "session.idle") {
+                        if (!isFinishing) {
+                            isFinishing = true;
+                            turnLog.debug("Session idle, stream complete");
+                            // Small delay to ensure files are written
+                            setTimeout(() => finish("completed"), 1000);
                         }
-                        reject(error);
-                    });
+                    }
+                    else if (event.type === "session.error") {
+                        turnLog.error("Session error", { errorType: event.data?.errorType, error: event.data?.message });
+                        metrics.sdkErrors.inc({ type: sdkErrorType(event.data) });
+                        fail(new Error(event.data?.message || "Session error"));
+                    }
+                } catch (err) {
+                    turnLog.error("Error in event handler", { error: err });
+                }
             });
 
-        } catch (error) {
-            console.error("Error in sendPromptStreaming:", error);
-            console.error("Error stack:", error.stack);
-            if (onError && !error.handled) {
-                error.handled = true;
-                onError(error);
-            }
-            throw error;
-        }
+            // Send the prompt using send() for streaming (not sendAndWait)
+            turnLog.debug("Sending prompt to streaming session");
+            sentAt = Date.now();
+            session.send({ prompt, ...(attachments.length > 0 ? { attachments: toSdkAttachments(attachments) } : {}) })
+                .then((messageId) => {
+                    turnLog.debug("Prompt sent", { messageId });
+                })
+                .catch((error) => {
+                    turnLog.error("Error sending prompt", { error });
+                    metrics.sdkErrors.inc({ type: sdkErrorType(error) });
+                    fail(error);
+                });
+        });
     }
 
     async stop() {
+        this.lifecycle.stop();
         if (this.client) {
-            console.log("Stopping Copilot client...");
+            log.info("Stopping Copilot client");
             try {
-                // Destroy all sessions first
+                // Disconnect all sessions first
                 for (const [id, data] of this.sessions.entries()) {
                     try {
-                        await data.session.destroy?.();
+                        await data.session.disconnect();
                     } catch (e) {
-                        console.warn(`Could not destroy session ${id}:`, e.message);
+                        log.warn("Could not disconnect session", { sessionId: id, error: e.message });
                     }
+                    // Sessions that survive the restart keep their outputs
+                    if (!this.store.get(id) || this.store instanceof MemorySessionStore) {
+                        this.artifacts.releaseSession(id);
+                    }
+                    this.lifecycle.remove(id);
+                    await this.workspaces.release(data.workspace);
                 }
                 this.sessions.clear();
+                for (const workspace of this.evictedWorkspaces.values()) {
+                    await this.workspaces.release(workspace);
+                }
+                this.evictedWorkspaces.clear();
                 
                 await this.client.stop();
-                console.log("✓ Copilot client stopped");
+                log.info("Copilot client stopped");
             } catch (error) {
-                console.error("Error stopping Copilot client:", error);
+                log.error("Error stopping Copilot client", { error });
             }
             this.client = null;
         }
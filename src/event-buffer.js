@@ -0,0 +1,48 @@
+import logger from "./logger.js";
+
+const log = logger.child({ component: "event-buffer" });
+
+// Bounded, per-session buffer of stream events so a client that lost its
+// connection can replay what it missed (Last-Event-ID) and keep following
+class EventBuffer {
+    constructor(capacity = Number(process.env.EVENT_BUFFER_SIZE) || 1000) {
+        this.capacity = capacity;
+        this.events = [];
+        this.droppedSeq = null; // Sequence number of the newest event pushed out of the buffer
+        this.listeners = new Set();
+    }
+
+    // Store an event ({ seq, type, data }) and hand it to live listeners
+    push(event) {
+        this.events.push(event);
+        if (this.events.length > this.capacity) {
+            const dropped = this.events.splice(0, this.events.length - this.capacity);
+            this.droppedSeq = dropped[dropped.length - 1].seq;
+        }
+        for (const listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (err) {
+                log.error("Error in event listener", { error: err });
+            }
+        }
+    }
+
+    // Buffered events with a sequence number greater than afterSeq
+    since(afterSeq) {
+        return this.events.filter(event => event.seq > afterSeq);
+    }
+
+    // Whether events after afterSeq were dropped, so since(afterSeq) has a gap
+    missed(afterSeq) {
+        return this.droppedSeq !== null && this.droppedSeq > afterSeq;
+    }
+
+    // Follow new events; returns a function that stops following
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+export default EventBuffer;
@@ -0,0 +1,129 @@
+import logger from "./logger.js";
+
+const log = logger.child({ component: "event-stream" });
+
+// Server-Sent Events writer for the chat streaming endpoints.
+//
+// Two protocols are supported:
+// - "events" (default): named events (queued, reset, session, reasoning, delta, tool_start,
+//   tool_end, approval_required, approval_resolved, file, changes, command, done, error) with
+//   the event's sequence number as the SSE id (queued and reset events have none)
+// - "legacy": the original unnamed {chunk} / {done, sessionId} / {error} messages
+
+const PROTOCOLS = ["events", "legacy"];
+
+// Chat message pointing the user at a generated file (legacy protocol only)
+function fileReadyMessage(file) {
+    return `\n\n---\n\n✅ **Your file is ready!**\n\n📥 **[Click here to download: ${file.name}](${file.url})**\n\n💡 *Right-click and "Save As" to save the file, or click to view in your browser.*\n\n---\n`;
+}
+
+// One named SSE frame per event
+export function formatEvent({ seq, type, data }) {
+    const id = seq !== undefined ? `id: ${seq}\n` : "";
+    return `${id}event: ${type}\ndata: ${JSON.stringify({ seq, ...data })}\n\n`;
+}
+
+// The original {chunk} format; null for events it has no equivalent for
+export function formatLegacyEvent({ type, data }) {
+    let payload;
+    switch (type) {
+        case "delta":
+            payload = { chunk: data.content };
+            break;
+        case "file":
+            payload = { chunk: fileReadyMessage(data) };
+            break;
+        case "command":
+            payload = { chunk: data.stdout || data.stderr || "Command executed successfully" };
+            break;
+        case "done":
+            payload = { done: true, sessionId: data.sessionId };
+            break;
+        case "error":
+            payload = { error: data.message };
+            break;
+        default:
+            return null;
+    }
+    return `data: ${JSON.stringify(payload)}\n\n`;
+}
+
+class EventStream {
+    constructor(res, { protocol = "events", keepaliveMs = 500 } = {}) {
+        if (!PROTOCOLS.includes(protocol)) {
+            throw new Error(`Unknown stream protocol: ${protocol}`);
+        }
+        this.res = res;
+        this.protocol = protocol;
+        this.ended = false;
+
+        // Set headers for SSE (Server-Sent Events)
+        res.setHeader("Content-Type", "text/event-stream");
+        res.setHeader("Cache-Control", "no-cache");
+        res.setHeader("Connection", "keep-alive");
+        res.setHeader("X-Accel-Buffering", "no"); // Disable buffering in nginx
+
+        // Flush headers to establish connection
+        res.flushHeaders();
+
+        // Send initial comment to establish connection
+        res.write(": connected\n\n");
+        if (protocol === "legacy") {
+            // Older clients expect an immediate "processing" message
+            res.write("data: " + JSON.stringify({ processing: true }) + "\n\n");
+        }
+
+        // Send keepalive comments to prevent proxies and browsers from timing out
+        this.keepaliveInterval = setInterval(() => this.write(": keepalive\n\n"), keepaliveMs);
+
+        // The request "close" event fires once the POST body is read, so only the
+        // response tells us when the client actually went away
+        res.on("close", () => this.close("response closed"));
+        res.on("error", (err) => {
+            log.error("Response error", { error: err });
+            this.close("response error");
+        });
+    }
+
+    get writable() {
+        return !this.ended && !this.res.destroyed && this.res.writable;
+    }
+
+    write(frame) {
+        if (!this.writable) {
+            return false;
+        }
+        try {
+            this.res.write(frame);
+            return true;
+        } catch (err) {
+            log.error("Stream write error", { error: err });
+            this.close("write error");
+            return false;
+        }
+    }
+
+    // Write a service event ({ seq, type, data }) in the stream's protocol
+    send(event) {
+        const frame = this.protocol === "legacy" ? formatLegacyEvent(event) : formatEvent(event);
+        return frame ? this.write(frame) : false;
+    }
+
+    // Stop writing and end the response
+    end() {
+        if (this.writable) {
+            this.res.end();
+        }
+        this.close("completed");
+    }
+
+    close(reason) {
+        if (!this.ended) {
+            log.debug("Stream ending", { reason });
+            this.ended = true;
+            clearInterval(this.keepaliveInterval);
+        }
+    }
+}
+
+export default EventStream;
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { trace } from '@opentelemetry/api';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Keys whose values are always replaced: credentials and headers carrying them.
+// Token counts (inputTokens, ...) do not end in "token" and are kept.
+const SECRET_KEY = /authorization|cookie|password|secret|api[-_]?key|credential/i;
+const SECRET_KEY_SUFFIX = /token$/i;
+
+// Keys holding user or model content, replaced by their length unless LOG_CONTENT=true
+const CONTENT_KEYS = new Set([
+    "prompt", "content", "deltaContent", "message_content", "systemMessage", "systemPrompt",
+    "history", "messages", "arguments", "args", "result", "diff", "feedback", "body",
+]);
+
+// Secrets recognised inside any string
+const SECRET_PATTERNS = [
+    [/\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g, "[REDACTED]"],
+    [/\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, "[REDACTED]"],
+    [/\b(Bearer|Basic|token)\s+[A-Za-z0-9._~+/=-]{8,}/gi, "$1 [REDACTED]"],
+];
+
+const MAX_DEPTH = 6;
+
+// Correlation fields ({ requestId, userId, sessionId, ... }) of the current request
+const storage = new AsyncLocalStorage();
+
+// Run fn with fields added to the log context of everything it does
+export function runWithLogContext(fields, fn) {
+    return storage.run({ ...(storage.getStore() || {}), ...fields }, fn);
+}
+
+// Add fields to the current log context (e.g. the session ID once it is known)
+export function addLogContext(fields) {
+    const store = storage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+// Correlation fields of the current request, to hand to callbacks that run outside it
+export function currentLogContext() {
+    return { ...(storage.getStore() || {}) };
+}
+
+// Run fn outside any request's log context, for long-lived resources (the SDK
+// client) whose callbacks must not inherit the context of the request that created them
+export function withoutLogContext(fn) {
+    return storage.exit(fn);
+}
+
+function redactString(text) {
+    let redacted = text;
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        redacted = redacted.replace(pattern, replacement);
+    }
+    return redacted;
+}
+
+// Copy of a log field with secrets (and, unless logContent, content) removed
+export function redact(value, { logContent = false } = {}, depth = 0, seen = new WeakSet()) {
+    if (typeof value === "string") {
+        return redactString(value);
+    }
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message || ""),
+            ...(value.code ? { code: value.code } : {}),
+            ...(value.stack ? { stack: redactString(value.stack) } : {}),
+        };
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+        return "[...]";
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, { logContent }, depth + 1, seen));
+    }
+    const result = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (SECRET_KEY.test(key) || SECRET_KEY_SUFFIX.test(key)) {
+            result[key] = "[REDACTED]";
+        } else if (!logContent && CONTENT_KEYS.has(key) && field !== null && field !== undefined) {
+            result[key] = typeof field === "string" ? `[${field.length} chars]` : "[REDACTED]";
+        } else {
+            result[key] = redact(field, { logContent }, depth + 1, seen);
+        }
+    }
+    return result;
+}
+
+// Leveled logger writing one JSON object per line: { time, level, msg, ...fields }.
+// Every line carries the correlation fields of the current request (requestId,
+// userId, sessionId) and the active trace ID, and is redacted (see redact()).
+// LOG_LEVEL picks the lowest level written, LOG_FORMAT=text gives readable lines
+// for local development and LOG_CONTENT=true keeps prompts and answers in the log.
+export class Logger {
+    constructor(fields = {}, options = {}) {
+        this.fields = fields;
+        this.options = {
+            level: process.env.LOG_LEVEL || "info",
+            format: process.env.LOG_FORMAT || "json",
+            logContent: process.env.LOG_CONTENT === "true",
+            ...options,
+        };
+        if (!(this.options.level in LEVELS)) {
+            throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(", ")}`);
+        }
+    }
+
+    // Logger that adds fields to every line
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.options);
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.options.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const spanContext = trace.getActiveSpan()?.spanContext();
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...(storage.getStore() || {}),
+            ...(spanContext ? { traceId: spanContext.traceId } : {}),
+            ...this.fields,
+            ...fields,
+        }, this.options);
+        const line = this.options.format === "text" ? Logger.formatText(entry) : JSON.stringify(entry);
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+    }
+
+    debug(message, fields) {
+        this.log("debug", message, fields);
+    }
+
+    info(message, fields) {
+        this.log("info", message, fields);
+    }
+
+    warn(message, fields) {
+        this.log("warn", message, fields);
+    }
+
+    error(message, fields) {
+        this.log("error", message, fields);
+    }
+
+    static formatText({ time, level, msg, ...fields }) {
+        const extra = Object.entries(fields)
+            .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+            .join(" ");
+        return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ""}`;
+    }
+}
+
+const logger = new Logger();
+
+// Express middleware: gives every request an ID (the caller's X-Request-Id if it
+// is reasonable, else a new UUID), echoes it in the response and logs the request
+// once its response has ended
+export function requestLogging() {
+    return (req, res, next) => {
+        const incoming = req.get("X-Request-Id");
+        const requestId = incoming && /^[A-Za-z0-9._-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+        res.setHeader("X-Request-Id", requestId);
+        // Routers rewrite req.path while they handle the request
+        const path = req.path;
+        const startedAt = Date.now();
+        runWithLogContext({ requestId }, () => {
+            res.once("close", () => {
+                // Listeners do not run in the request's context, so pass its fields along
+                logger.log(res.statusCode >= 500 ? "error" : "info", "Request finished", {
+                    requestId,
+                    ...(req.user ? { userId: req.user.id } : {}),
+                    method: req.method,
+                    path,
+                    status: res.statusCode,
+                    durationMs: Date.now() - startedAt,
+                    ...(res.writableFinished ? {} : { aborted: true }),
+                });
+            });
+            next();
+        });
+    };
+}
+
+export default logger;
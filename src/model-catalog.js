@@ -0,0 +1,95 @@
+import logger from "./logger.js";
+
+const log = logger.child({ component: "model-catalog" });
+
+// Model used when a request does not name one
+export const DEFAULT_MODEL = process.env.COPILOT_MODEL || "gpt-4.1";
+
+// Vendor shown for a model, derived from its ID
+const VENDORS = [
+    [/^(gpt|o\d)/i, "OpenAI"],
+    [/^claude/i, "Anthropic"],
+    [/^gemini/i, "Google"],
+    [/^grok/i, "xAI"],
+];
+
+function vendorOf(id) {
+    const match = VENDORS.find(([pattern]) => pattern.test(id));
+    return match ? match[1] : "Other";
+}
+
+// The SDK's ModelInfo reduced to what the API and UI need
+function describeModel(info) {
+    return {
+        id: info.id,
+        name: info.name || info.id,
+        vendor: vendorOf(info.id),
+        enabled: info.policy?.state !== "disabled",
+        premiumMultiplier: info.billing?.multiplier ?? null,
+        capabilities: {
+            reasoning: Boolean(info.capabilities?.supports?.reasoningEffort),
+            reasoningEfforts: info.supportedReasoningEfforts || [],
+            defaultReasoningEffort: info.defaultReasoningEffort || null,
+            vision: Boolean(info.capabilities?.supports?.vision),
+            contextWindow: info.capabilities?.limits?.max_context_window_tokens ?? null,
+        },
+    };
+}
+
+// Cached list of the models the Copilot CLI offers. loadModels resolves with the
+// SDK's ModelInfo objects; the result is kept for ttlMs.
+class ModelCatalog {
+    constructor(loadModels, { ttlMs = Number(process.env.MODELS_CACHE_TTL_MS) || 5 * 60 * 1000 } = {}) {
+        this.loadModels = loadModels;
+        this.ttlMs = ttlMs;
+        this.models = null;
+        this.loadedAt = 0;
+        this.loading = null;
+    }
+
+    async list() {
+        if (this.models && Date.now() - this.loadedAt < this.ttlMs) {
+            return this.models;
+        }
+        // Concurrent callers share one request
+        if (!this.loading) {
+            this.loading = (async () => {
+                const models = await this.loadModels();
+                this.models = models.map(describeModel);
+                this.loadedAt = Date.now();
+                return this.models;
+            })().finally(() => {
+                this.loading = null;
+            });
+        }
+        return await this.loading;
+    }
+
+    // Whether id is in the last loaded list (false before the first load)
+    has(id) {
+        return Boolean(this.models?.some(model => model.id === id));
+    }
+
+    async get(id) {
+        return (await this.list()).find(model => model.id === id) || null;
+    }
+
+    // Throws an error with code UNKNOWN_MODEL if id is not in the catalog.
+    // If the catalog cannot be loaded the model is let through for the SDK to judge.
+    async validate(id) {
+        let models;
+        try {
+            models = await this.list();
+        } catch (e) {
+            log.warn("Could not load the model catalog to check a model", { model: id, error: e.message });
+            return;
+        }
+        if (!models.some(model => model.id === id)) {
+            const error = new Error(`Unknown model: ${id}`);
+            error.code = "UNKNOWN_MODEL";
+            throw error;
+        }
+    }
+}
+
+export default ModelCatalog;
@@ -0,0 +1,178 @@
+import { metrics } from './telemetry.js';
+
+// Requests turned away from a full queue are told to come back after this many seconds
+const QUEUE_RETRY_AFTER = 30;
+
+// Per-model limits from MODEL_CONCURRENCY_LIMITS ({"claude-opus-4.5": 2, ...} as JSON)
+function parseLimits(text) {
+    if (!text) {
+        return {};
+    }
+    const limits = JSON.parse(text);
+    for (const [model, limit] of Object.entries(limits)) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Invalid concurrency limit for ${model}: ${limit}`);
+        }
+    }
+    return limits;
+}
+
+// Concurrency limit for each model: at most `concurrency` prompts (or the model's
+// entry in `limits`) run on a model at once, the rest wait in line. The line is
+// fair between owners (clients, see RateLimiter.clientKey): slots go to waiting
+// owners in turn, each owner's requests in the order they arrived, so one
+// client's burst cannot starve the others.
+// concurrency 0 (and no entry in limits): unlimited.
+class ModelQueue {
+    constructor({
+        concurrency = Number(process.env.MODEL_CONCURRENCY) || 0,
+        limits = parseLimits(process.env.MODEL_CONCURRENCY_LIMITS),
+        maxWaiting = Number(process.env.MODEL_QUEUE_MAX) || 100,
+    } = {}) {
+        this.concurrency = concurrency;
+        this.limits = limits;
+        this.maxWaiting = maxWaiting; // Per model
+        this.models = new Map(); // model -> { running, waiting: Map<owner, waiter[]> }
+    }
+
+    limitOf(model) {
+        return this.limits[model] ?? (this.concurrency || Infinity);
+    }
+
+    state(model) {
+        if (!this.models.has(model)) {
+            this.models.set(model, { running: 0, waiting: new Map() });
+        }
+        return this.models.get(model);
+    }
+
+    // Requests waiting for model
+    waitingCount(model) {
+        let count = 0;
+        for (const waiters of this.models.get(model)?.waiting.values() || []) {
+            count += waiters.length;
+        }
+        return count;
+    }
+
+    // Throw QUEUE_FULL (with error.retryAfter) if a request for model would have
+    // to wait behind maxWaiting others. HTTP handlers check this before acquire().
+    checkCapacity(model) {
+        const state = this.models.get(model);
+        if (state && state.running >= this.limitOf(model) && this.waitingCount(model) >= this.maxWaiting) {
+            metrics.rateLimited.inc({ limit: "queue" });
+            const error = new Error(`Too many requests are waiting for ${model}`);
+            error.code = "QUEUE_FULL";
+            error.retryAfter = QUEUE_RETRY_AFTER;
+            throw error;
+        }
+    }
+
+    // Wait for a slot on model. Resolves with a function that frees it again;
+    // rejects with CANCELLED if signal aborts while waiting. onPosition(position)
+    // is called when the request has to wait and whenever its place in line
+    // changes (1: next).
+    acquire(model, { owner = null, signal = null, onPosition = () => {} } = {}) {
+        const state = this.state(model);
+        if (state.running < this.limitOf(model) && state.waiting.size === 0) {
+            state.running++;
+            return Promise.resolve(this.releaser(model));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { owner, position: null, onPosition, resolve, signal, onAbort: null };
+            if (signal) {
+                if (signal.aborted) {
+                    return reject(ModelQueue.cancelled());
+                }
+                waiter.onAbort = () => {
+                    this.remove(model, waiter);
+                    reject(ModelQueue.cancelled());
+                };
+                signal.addEventListener("abort", waiter.onAbort, { once: true });
+            }
+            if (!state.waiting.has(owner)) {
+                state.waiting.set(owner, []);
+            }
+            state.waiting.get(owner).push(waiter);
+            this.updatePositions(model);
+        });
+    }
+
+    // Function freeing one slot of model (only the first call counts)
+    releaser(model) {
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.state(model).running--;
+                this.grant(model);
+            }
+        };
+    }
+
+    // Hand free slots to waiting requests, one user after another
+    grant(model) {
+        const state = this.state(model);
+        while (state.running < this.limitOf(model) && state.waiting.size > 0) {
+            // Map order is the rotation: the user served moves to the back
+            const [owner, waiters] = state.waiting.entries().next().value;
+            const waiter = waiters.shift();
+            state.waiting.delete(owner);
+            if (waiters.length > 0) {
+                state.waiting.set(owner, waiters);
+            }
+            waiter.signal?.removeEventListener("abort", waiter.onAbort);
+            state.running++;
+            waiter.resolve(this.releaser(model));
+        }
+        this.updatePositions(model);
+    }
+
+    remove(model, waiter) {
+        const state = this.state(model);
+        const waiters = state.waiting.get(waiter.owner) || [];
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) {
+            waiters.splice(index, 1);
+            if (waiters.length === 0) {
+                state.waiting.delete(waiter.owner);
+            }
+            this.updatePositions(model);
+        }
+    }
+
+    // Tell waiting requests whose place in line changed about it. The line is
+    // the order grant() serves them in: every user's first request, then every
+    // user's second, and so on.
+    updatePositions(model) {
+        const state = this.state(model);
+        const lines = [...state.waiting.values()];
+        let position = 0;
+        for (let round = 0; lines.some(waiters => waiters.length > round); round++) {
+            for (const waiters of lines) {
+                const waiter = waiters[round];
+                if (!waiter) {
+                    continue;
+                }
+                position++;
+                if (waiter.position !== position) {
+                    waiter.position = position;
+                    waiter.onPosition(position);
+                }
+            }
+        }
+        metrics.queuedRequests.set({ model }, position);
+        if (position === 0 && state.running === 0) {
+            this.models.delete(model);
+        }
+    }
+
+    static cancelled() {
+        const error = new Error("Request cancelled");
+        error.code = "CANCELLED";
+        return error;
+    }
+}
+
+export default ModelQueue;
@@ -0,0 +1,311 @@
+import crypto from "crypto";
+import express from "express";
+import EventStream from "./event-stream.js";
+import { DEFAULT_MODEL } from "./model-catalog.js";
+import logger from "./logger.js";
+import RateLimiter from "./rate-limiter.js";
+
+const log = logger.child({ component: "openai-api" });
+
+// OpenAI Chat Completions compatible endpoints (mounted at /v1), so OpenAI SDKs
+// and IDE plugins can use this service as their base URL.
+//
+// Requests are stateless: system/developer messages become the session's system
+// message, earlier turns are replayed as context and the last user message is
+// the prompt. Each request runs in a throwaway Copilot session.
+
+// OpenAI-style error body
+function sendError(res, status, message, type = "invalid_request_error", param = null) {
+    res.status(status).json({ error: { message, type, param, code: null } });
+}
+
+// Text of a message's content (a string or an array of content parts)
+function messageText(content) {
+    if (typeof content === "string") {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part?.type === "text" && typeof part.text === "string")
+            .map(part => part.text)
+            .join("\n");
+    }
+    return "";
+}
+
+// Split an OpenAI messages array into { prompt, systemMessage }; throws on invalid input
+export function mapMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error("messages must be a non-empty array");
+    }
+    const last = messages[messages.length - 1];
+    if (last?.role !== "user") {
+        throw new Error("The last message must have role \"user\"");
+    }
+    const prompt = messageText(last.content);
+    if (!prompt.trim()) {
+        throw new Error("The last user message has no text content");
+    }
+
+    const instructions = [];
+    const history = [];
+    for (const message of messages.slice(0, -1)) {
+        const text = messageText(message?.content);
+        if (!text) {
+            continue;
+        }
+        switch (message.role) {
+            case "system":
+            case "developer":
+                instructions.push(text);
+                break;
+            case "user":
+                history.push(`User: ${text}`);
+                break;
+            case "assistant":
+                history.push(`Assistant: ${text}`);
+                break;
+            case "tool":
+                history.push(`Tool result: ${text}`);
+                break;
+            default:
+                throw new Error(`Unsupported message role: ${message.role}`);
+        }
+    }
+    if (history.length > 0) {
+        instructions.push(`The conversation so far:\n\n${history.join("\n\n")}`);
+    }
+    return { prompt, systemMessage: instructions.length > 0 ? instructions.join("\n\n") : null };
+}
+
+function toOpenAIUsage(usage) {
+    return {
+        prompt_tokens: usage.inputTokens,
+        completion_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens,
+    };
+}
+
+// One chat.completion.chunk SSE frame
+function chunkFrame({ id, created, model }, delta, finishReason = null) {
+    return `data: ${JSON.stringify({
+        id,
+        object: "chat.completion.chunk",
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+    })}\n\n`;
+}
+
+// Answer from a response cache entry (no tokens used), streamed in the chunks
+// the original answer arrived in if the request asked for a stream
+function sendCached(res, completion, { stream, includeUsage, entry }) {
+    const { id, created, model } = completion;
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    if (!stream) {
+        return res.json({
+            id,
+            object: "chat.completion",
+            created,
+            model,
+            choices: [{
+                index: 0,
+                message: { role: "assistant", content: entry.content },
+                finish_reason: "stop",
+            }],
+            usage,
+        });
+    }
+    const events = new EventStream(res);
+    events.write(chunkFrame(completion, { role: "assistant", content: "" }));
+    for (const content of entry.chunks) {
+        events.write(chunkFrame(completion, { content }));
+    }
+    events.write(chunkFrame(completion, {}, "stop"));
+    if (includeUsage) {
+        events.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", created, model, choices: [], usage })}\n\n`);
+    }
+    events.write("data: [DONE]\n\n");
+    events.end();
+}
+
+// OpenAI-style 429 for a stream or queue limit error (with error.retryAfter)
+function sendLimited(res, error) {
+    res.setHeader("Retry-After", String(error.retryAfter));
+    sendError(res, 429, error.message, "rate_limit_exceeded");
+}
+
+export default function createOpenAIRouter(copilotService, { rateLimiter, modelQueue }) {
+    const router = express.Router();
+
+    router.use(rateLimiter.middleware((res, message) => sendError(res, 429, message, "rate_limit_exceeded")));
+
+    router.get("/models", async (req, res) => {
+        try {
+            const models = await copilotService.listModels();
+            res.json({
+                object: "list",
+                data: models.map(model => ({
+                    id: model.id,
+                    object: "model",
+                    created: 0,
+                    owned_by: "github-copilot",
+                })),
+            });
+        } catch (error) {
+            log.error("Error listing models", { error });
+            sendError(res, 500, error.message, "api_error");
+        }
+    });
+
+    router.post("/chat/completions", async (req, res) => {
+        const { model = DEFAULT_MODEL, messages, stream = false, n = 1 } = req.body || {};
+
+        let mapped;
+        try {
+            mapped = mapMessages(messages);
+        } catch (error) {
+            return sendError(res, 400, error.message, "invalid_request_error", "messages");
+        }
+        if (n !== 1) {
+            return sendError(res, 400, "Only n=1 is supported", "invalid_request_error", "n");
+        }
+        try {
+            await copilotService.validateModel(model);
+        } catch (error) {
+            return sendError(res, 404, `The model '${model}' does not exist`, "invalid_request_error", "model");
+        }
+        res.locals.model = model;
+
+        const id = `chatcmpl-${crypto.randomUUID()}`;
+        const created = Math.floor(Date.now() / 1000);
+        // "cache": true (an extension to the OpenAI API) answers repeated prompts
+        // from the response cache, without using the model or the budget
+        const cacheKey = req.body.cache === true && copilotService.responses
+            ? copilotService.responseCacheKey(mapped.prompt, "completion", { model, systemMessage: mapped.systemMessage })
+            : null;
+        if (cacheKey) {
+            const cached = copilotService.responses.get(cacheKey);
+            res.setHeader("X-Cache", cached ? "HIT" : "MISS");
+            if (cached) {
+                return sendCached(res, { id, created, model }, { stream, includeUsage: req.body.stream_options?.include_usage, entry: cached });
+            }
+        }
+        // Store a completed answer for the next identical prompt
+        const remember = (content, chunks = []) => {
+            if (cacheKey && content) {
+                copilotService.responses.set(cacheKey, { content, chunks, model });
+            }
+        };
+
+        try {
+            copilotService.checkBudget(req.user.id);
+        } catch (error) {
+            if (error.code !== "BUDGET_EXCEEDED") {
+                log.error("Error checking the usage budget", { error });
+                return sendError(res, 500, error.message, "api_error");
+            }
+            res.setHeader("Retry-After", String(error.retryAfter));
+            return sendError(res, 429, error.message, "insufficient_quota");
+        }
+        let releaseStream = () => {};
+        try {
+            modelQueue.checkCapacity(model);
+            if (stream) {
+                releaseStream = rateLimiter.acquireStream(RateLimiter.clientKey(req));
+            }
+        } catch (error) {
+            if (error.code !== "QUEUE_FULL" && error.code !== "TOO_MANY_STREAMS") {
+                log.error("Error checking request limits", { error });
+                return sendError(res, 500, error.message, "api_error");
+            }
+            return sendLimited(res, error);
+        }
+
+        // Stop waiting and generating once the client goes away
+        const controller = new AbortController();
+        res.on("close", () => {
+            controller.abort();
+            releaseStream();
+        });
+        // Wait for a slot on the model; OpenAI clients get no queue position
+        const slot = () => modelQueue.acquire(model, { owner: RateLimiter.clientKey(req), signal: controller.signal });
+
+        if (!stream) {
+            let release = () => {};
+            try {
+                release = await slot();
+                const result = await copilotService.complete(mapped.prompt, {
+                    model,
+                    systemMessage: mapped.systemMessage,
+                    signal: controller.signal,
+                    owner: req.user.id,
+                });
+                remember(result.content);
+                res.json({
+                    id,
+                    object: "chat.completion",
+                    created,
+                    model,
+                    choices: [{
+                        index: 0,
+                        message: { role: "assistant", content: result.content },
+                        finish_reason: "stop",
+                    }],
+                    usage: toOpenAIUsage(result.usage),
+                });
+            } catch (error) {
+                if (error.code !== "CANCELLED") {
+                    log.error("Error processing chat completion", { error });
+                    sendError(res, 500, error.message, "api_error");
+                }
+            } finally {
+                release();
+            }
+            return;
+        }
+
+        const events = new EventStream(res);
+        const chunk = (delta, finishReason = null) => events.write(chunkFrame({ id, created, model }, delta, finishReason));
+
+        chunk({ role: "assistant", content: "" });
+        let release = () => {};
+        const chunks = [];
+        try {
+            release = await slot();
+            const result = await copilotService.complete(mapped.prompt, {
+                model,
+                systemMessage: mapped.systemMessage,
+                signal: controller.signal,
+                owner: req.user.id,
+                onDelta: (content) => {
+                    chunks.push(content);
+                    chunk({ content });
+                },
+            });
+            remember(result.content, chunks);
+            chunk({}, "stop");
+            if (req.body.stream_options?.include_usage) {
+                events.write(`data: ${JSON.stringify({
+                    id,
+                    object: "chat.completion.chunk",
+                    created,
+                    model,
+                    choices: [],
+                    usage: toOpenAIUsage(result.usage),
+                })}\n\n`);
+            }
+            events.write("data: [DONE]\n\n");
+        } catch (error) {
+            if (error.code !== "CANCELLED") {
+                log.error("Error streaming chat completion", { error });
+                events.write(`data: ${JSON.stringify({ error: { message: error.message, type: "api_error", param: null, code: null } })}\n\n`);
+            }
+        } finally {
+            release();
+            events.end();
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,184 @@
+import path from 'path';
+import fs from 'fs';
+import logger from './logger.js';
+
+const log = logger.child({ component: "preset-store" });
+
+const REASONING_EFFORTS = ["low", "medium", "high", "xhigh", "max"];
+const MAX_SYSTEM_PROMPT_LENGTH = 20000;
+
+// Session settings a preset (or a request's inline overrides) can set
+export const SESSION_OPTION_KEYS = ["systemPrompt", "model", "skills", "availableTools", "excludedTools", "reasoningEffort", "workspace", "workspaceRef"];
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = "INVALID_PRESET";
+    return error;
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === "string" && item.length > 0);
+}
+
+// Check session options ({ systemPrompt, model, skills, availableTools, excludedTools,
+// reasoningEffort, workspace, workspaceRef }, each optional or null); throws an error
+// with code INVALID_PRESET
+export function validateSessionOptions(options) {
+    const { systemPrompt, model, skills, availableTools, excludedTools, reasoningEffort, workspace, workspaceRef } = options;
+    if (systemPrompt != null && (typeof systemPrompt !== "string" || systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH)) {
+        throw invalid(`systemPrompt must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`);
+    }
+    if (model != null && (typeof model !== "string" || !model)) {
+        throw invalid("model must be a model ID");
+    }
+    for (const [key, value] of Object.entries({ skills, availableTools, excludedTools })) {
+        if (value != null && !isStringList(value)) {
+            throw invalid(`${key} must be an array of names`);
+        }
+    }
+    if (reasoningEffort != null && !REASONING_EFFORTS.includes(reasoningEffort)) {
+        throw invalid(`reasoningEffort must be one of ${REASONING_EFFORTS.join(", ")}`);
+    }
+    if (workspace != null && (typeof workspace !== "string" || !workspace)) {
+        throw invalid("workspace must be a directory path");
+    }
+    // Passed to git as an argument, so it may not look like an option
+    if (workspaceRef != null && (typeof workspaceRef !== "string" || !/^[A-Za-z0-9_.\/][A-Za-z0-9_.\/-]*$/.test(workspaceRef))) {
+        throw invalid("workspaceRef must be a branch, tag or commit");
+    }
+}
+
+// Only the session option keys of an object, without unset values (undefined,
+// null, or an empty string such as a form's "default" choice)
+export function pickSessionOptions(source = {}) {
+    const options = {};
+    for (const key of SESSION_OPTION_KEYS) {
+        if (source[key] !== undefined && source[key] !== null && source[key] !== "") {
+            options[key] = source[key];
+        }
+    }
+    return options;
+}
+
+// Named, reusable session settings ("code-reviewer", "sql-helper", ...) kept in a
+// JSON file: { id, name, description, systemPrompt, model, skills, availableTools,
+// excludedTools, reasoningEffort, workspace, workspaceRef, createdAt, updatedAt }
+class PresetStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    static isValidId(id) {
+        return typeof id === "string" && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(id) && id.length <= 64;
+    }
+
+    // Preset ID derived from its name ("SQL Helper" -> "sql-helper")
+    static slugify(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 64);
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                log.warn("Could not read presets", { error: e.message });
+            }
+            return {};
+        }
+    }
+
+    write(presets) {
+        // Write then rename so a crash never leaves a half-written file
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(presets, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    list() {
+        return Object.values(this.read()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(id) {
+        return (PresetStore.isValidId(id) && this.read()[id]) || null;
+    }
+
+    // Check a full preset; throws an error with code INVALID_PRESET
+    static validate(preset) {
+        if (typeof preset.name !== "string" || !preset.name.trim() || preset.name.length > 100) {
+            throw invalid("name must be 1-100 characters");
+        }
+        if (preset.description != null && typeof preset.description !== "string") {
+            throw invalid("description must be a string");
+        }
+        validateSessionOptions(preset);
+    }
+
+    // Create a preset; its ID is given or derived from the name.
+    // Throws INVALID_PRESET, or PRESET_EXISTS if the ID is taken.
+    create(fields) {
+        const id = fields.id || PresetStore.slugify(fields.name || "");
+        if (!PresetStore.isValidId(id)) {
+            throw invalid("id must be lowercase letters, digits or hyphens");
+        }
+        const preset = {
+            id,
+            name: fields.name,
+            description: fields.description || null,
+            ...pickSessionOptions(fields),
+        };
+        PresetStore.validate(preset);
+
+        const presets = this.read();
+        if (presets[id]) {
+            const error = new Error(`Preset ${id} already exists`);
+            error.code = "PRESET_EXISTS";
+            throw error;
+        }
+        const now = new Date().toISOString();
+        presets[id] = { ...preset, createdAt: now, updatedAt: now };
+        this.write(presets);
+        return presets[id];
+    }
+
+    // Update some fields of a preset (null or "" clears an option, as an empty
+    // option counts as unset in pickSessionOptions); returns null if unknown
+    update(id, fields) {
+        if (!PresetStore.isValidId(id)) {
+            return null;
+        }
+        const presets = this.read();
+        const existing = presets[id];
+        if (!existing) {
+            return null;
+        }
+        const updated = { ...existing };
+        for (const key of ["name", "description", ...SESSION_OPTION_KEYS]) {
+            if (fields[key] === null || fields[key] === "") {
+                delete updated[key];
+            } else if (fields[key] !== undefined) {
+                updated[key] = fields[key];
+            }
+        }
+        PresetStore.validate(updated);
+        presets[id] = { ...updated, id, updatedAt: new Date().toISOString() };
+        this.write(presets);
+        return presets[id];
+    }
+
+    delete(id) {
+        if (!PresetStore.isValidId(id)) {
+            return false;
+        }
+        const presets = this.read();
+        if (!presets[id]) {
+            return false;
+        }
+        delete presets[id];
+        this.write(presets);
+        return true;
+    }
+}
+
+export default PresetStore;
@@ -0,0 +1,136 @@
+import { metrics } from './telemetry.js';
+
+// Buckets left untouched this long (and so full again) are dropped
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+// Clients over their stream cap are told to come back after this many seconds
+const STREAM_RETRY_AFTER = 5;
+
+function limitError(code, message, retryAfter) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+// Per-client request limits:
+// - a token bucket per client key (see clientKey) holding `burst` requests and
+//   refilled at `perMinute` requests a minute (perMinute 0: no rate limit)
+// - at most `maxStreams` open SSE streams per client key
+// Exceeding either throws RATE_LIMITED or TOO_MANY_STREAMS with error.retryAfter
+// (seconds).
+class RateLimiter {
+    constructor({
+        perMinute = Number(process.env.RATE_LIMIT_PER_MINUTE) || 0,
+        burst = Number(process.env.RATE_LIMIT_BURST) || null,
+        maxStreams = Number(process.env.MAX_STREAMS_PER_USER) || 4,
+    } = {}) {
+        this.perMinute = perMinute;
+        this.burst = burst || perMinute;
+        this.maxStreams = maxStreams;
+        this.buckets = new Map(); // key -> { tokens, updatedAt }
+        this.streams = new Map(); // client key -> open streams
+        this.sweptAt = Date.now();
+    }
+
+    // Key a request's client is limited by: its API key user, or its IP address
+    // for anonymous requests (every client is "anonymous" when authentication is off)
+    static clientKey(req) {
+        return req.user && req.user.id !== "anonymous" ? `user:${req.user.id}` : `ip:${req.ip}`;
+    }
+
+    get enabled() {
+        return this.perMinute > 0;
+    }
+
+    // Take one request from key's bucket; throws RATE_LIMITED when it is empty
+    take(key, now = Date.now()) {
+        if (!this.enabled) {
+            return;
+        }
+        this.sweep(now);
+        const bucket = this.refill(this.buckets.get(key) || { tokens: this.burst, updatedAt: now }, now);
+        this.buckets.set(key, bucket);
+        if (bucket.tokens < 1) {
+            const retryAfter = Math.ceil((1 - bucket.tokens) * 60 / this.perMinute);
+            metrics.rateLimited.inc({ limit: "rate" });
+            throw limitError("RATE_LIMITED", `Rate limit of ${this.perMinute} requests per minute exceeded`, retryAfter);
+        }
+        bucket.tokens--;
+    }
+
+    // Requests left in key's bucket
+    remaining(key, now = Date.now()) {
+        const bucket = this.buckets.get(key);
+        return bucket ? Math.floor(this.refill({ ...bucket }, now).tokens) : this.burst;
+    }
+
+    refill(bucket, now) {
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.perMinute / 60000);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Drop buckets that have refilled completely, at most once a minute
+    sweep(now) {
+        if (now - this.sweptAt < 60000) {
+            return;
+        }
+        this.sweptAt = now;
+        const idleAfter = Math.max(IDLE_BUCKET_MS, this.burst * 60000 / this.perMinute);
+        for (const [key, bucket] of this.buckets) {
+            if (now - bucket.updatedAt >= idleAfter) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    // Claim one of a client's stream slots. Returns a function that gives it back;
+    // throws TOO_MANY_STREAMS when they are all in use.
+    acquireStream(key) {
+        const open = this.streams.get(key) || 0;
+        if (open >= this.maxStreams) {
+            metrics.rateLimited.inc({ limit: "streams" });
+            throw limitError("TOO_MANY_STREAMS", `At most ${this.maxStreams} concurrent streams are allowed per client`, STREAM_RETRY_AFTER);
+        }
+        this.streams.set(key, open + 1);
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            const left = (this.streams.get(key) || 1) - 1;
+            if (left > 0) {
+                this.streams.set(key, left);
+            } else {
+                this.streams.delete(key);
+            }
+        };
+    }
+
+    // Express middleware applying the rate limit after authentication. Limited
+    // requests get 429 with Retry-After; respond(res, message) writes the body.
+    middleware(respond = (res, message) => res.status(429).json({ error: message })) {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                return next();
+            }
+            const key = RateLimiter.clientKey(req);
+            res.setHeader("RateLimit-Limit", String(this.burst));
+            try {
+                this.take(key);
+            } catch (error) {
+                if (error.code !== "RATE_LIMITED") {
+                    throw error;
+                }
+                res.setHeader("RateLimit-Remaining", "0");
+                res.setHeader("Retry-After", String(error.retryAfter));
+                return respond(res, error.message);
+            }
+            res.setHeader("RateLimit-Remaining", String(this.remaining(key)));
+            next();
+        };
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,168 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { metrics } from './telemetry.js';
+import logger from './logger.js';
+
+const log = logger.child({ component: "response-cache" });
+
+// Prompts that differ only in surrounding or repeated whitespace share a cache entry
+export function normalizePrompt(prompt) {
+    return prompt.normalize("NFC").trim().replace(/\s+/g, " ");
+}
+
+// Cache key of a single-shot prompt: the pipeline that answers it (sessions set up
+// differently answer differently), the normalized prompt, model, preset and skill
+// set, plus the other options that shape the answer (system message, tools)
+export function cacheKey({ pipeline, prompt, model, presetId = null, skills = [], options = {} }) {
+    const sortedOptions = Object.fromEntries(Object.entries(options)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .sort(([a], [b]) => a.localeCompare(b)));
+    return crypto.createHash("sha256")
+        .update(JSON.stringify([pipeline, normalizePrompt(prompt), model, presetId, [...skills].sort(), sortedOptions]))
+        .digest("hex");
+}
+
+// Answers of single-shot prompts kept in process memory (lost on restart). Entries
+// ({ content, chunks, model, createdAt, expiresAt }) expire after ttlMs; beyond
+// maxEntries the least recently used are dropped.
+export class MemoryResponseCache {
+    constructor({
+        ttlMs = Number(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 60 * 1000,
+        maxEntries = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500,
+    } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> entry, least recently used first
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // The entry for key, or null if there is none or it has expired
+    get(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry || Date.parse(entry.expiresAt) <= now) {
+            if (entry) {
+                this.remove(key);
+            }
+            metrics.responseCache.inc({ result: "miss" });
+            return null;
+        }
+        // Move to the back of the LRU order
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        metrics.responseCache.inc({ result: "hit" });
+        return entry;
+    }
+
+    // Store an answer ({ content, chunks, model }) under key
+    set(key, { content, chunks = [], model }, now = Date.now()) {
+        const entry = {
+            content,
+            chunks: chunks.length > 0 ? chunks : [content],
+            model,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMs).toISOString(),
+        };
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persist(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    remove(key) {
+        this.entries.delete(key);
+    }
+
+    // Drop every entry; returns how many there were
+    purge() {
+        const count = this.entries.size;
+        for (const key of [...this.entries.keys()]) {
+            this.remove(key);
+        }
+        return count;
+    }
+
+    persist() {
+        // Nothing to write
+    }
+}
+
+// Same as MemoryResponseCache, with every entry also written to <key>.json in dir
+// so the cache survives restarts
+export class FileResponseCache extends MemoryResponseCache {
+    constructor(dir, options) {
+        super(options);
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    // Read the unexpired entries, oldest first so the newest survive the size bound
+    load() {
+        const now = Date.now();
+        const loaded = [];
+        for (const name of fs.readdirSync(this.dir).filter(name => /^[0-9a-f]{64}\.json$/.test(name))) {
+            const key = name.slice(0, -".json".length);
+            try {
+                const entry = JSON.parse(fs.readFileSync(path.join(this.dir, name), "utf8"));
+                if (Date.parse(entry.expiresAt) > now) {
+                    loaded.push([key, entry]);
+                    continue;
+                }
+            } catch (e) {
+                log.warn("Could not read cache entry", { key, error: e.message });
+            }
+            fs.rmSync(path.join(this.dir, name), { force: true });
+        }
+        loaded.sort(([, a], [, b]) => a.createdAt.localeCompare(b.createdAt));
+        for (const [key, entry] of loaded) {
+            this.entries.set(key, entry);
+        }
+        while (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    persist(key, entry) {
+        try {
+            // Write then rename so a crash never leaves a half-written entry
+            const tmpPath = `${this.entryPath(key)}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(entry));
+            fs.renameSync(tmpPath, this.entryPath(key));
+        } catch (e) {
+            log.warn("Could not write cache entry", { key, error: e.message });
+        }
+    }
+
+    remove(key) {
+        super.remove(key);
+        fs.rmSync(this.entryPath(key), { force: true });
+    }
+}
+
+// Pick the backend from RESPONSE_CACHE ("memory" by default, "file", or "off": null)
+export function createResponseCache({
+    type = process.env.RESPONSE_CACHE || "memory",
+    dir,
+} = {}) {
+    if (type === "off") {
+        return null;
+    }
+    if (type === "memory") {
+        return new MemoryResponseCache();
+    }
+    if (type === "file") {
+        return new FileResponseCache(dir);
+    }
+    throw new Error(`Unknown RESPONSE_CACHE: ${type}`);
+}
@@ -1,20 +1,243 @@
 import express from "express";
 import cors from "cors";
-import { exec } from "child_process";
-import { promisify } from "util";
 import CopilotService from "./copilot-service.js";
+import CommandRunner from "./command-runner.js";
+import EventStream from "./event-stream.js";
+import Authenticator from "./auth.js";
+import createOpenAIRouter from "./openai-api.js";
+import { DEFAULT_MODEL } from "./model-catalog.js";
+import SkillStore from "./skill-store.js";
+import BatchQueue from "./batch-queue.js";
+import UsageStore from "./usage-store.js";
+import RateLimiter from "./rate-limiter.js";
+import ModelQueue from "./model-queue.js";
+import { registry, requestTelemetry, startTracing, stopTracing } from "./telemetry.js";
+import logger, { requestLogging, addLogContext } from "./logger.js";
+
+const log = logger.child({ component: "server" });
 
-const execAsync = promisify(exec);
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Cancel a streaming turn when its client disconnects (per request: cancelOnDisconnect)
+const CANCEL_ON_DISCONNECT = process.env.CANCEL_ON_DISCONNECT === "true";
+// Comma-separated origins allowed to call the API from a browser ("*" or unset: any origin)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*").split(",").map(o => o.trim()).filter(Boolean);
+// Bearer token Prometheus must send to read /metrics (unset: open)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+startTracing();
 
 const copilotService = new CopilotService();
+const commandRunner = new CommandRunner();
+const authenticator = new Authenticator();
+const rateLimiter = new RateLimiter();
+// Every prompt, whichever endpoint or batch it comes from, waits for a slot on its model
+const modelQueue = new ModelQueue();
+// Batch prompts run one-shot, like /v1/chat/completions, a few at a time. Prompts
+// that start after the owner's daily budget is used up fail.
+const batches = new BatchQueue(async (item, job, signal) => {
+    copilotService.checkBudget(job.owner);
+    const release = await modelQueue.acquire(job.options.model, { owner: job.options.client, signal });
+    try {
+        return await copilotService.complete(item.prompt, {
+            model: job.options.model,
+            systemMessage: job.options.systemPrompt,
+            signal,
+            owner: job.owner,
+            source: "batch",
+        });
+    } finally {
+        release();
+    }
+});
+
+if (!authenticator.enabled) {
+    log.warn("No API_KEYS, JWT_SECRET or OIDC_ISSUER configured - the API is open to anyone who can reach it");
+}
+
+// Status code for a failed slash command
+function commandErrorStatus(error) {
+    return error.code === "COMMAND_NOT_ALLOWED" || error.code === "INVALID_COMMAND" ? 400 : 500;
+}
+
+// Check that the signed-in user may use a session; responds 404/403 and returns
+// false otherwise
+function authorizeSession(req, res, sessionId) {
+    const record = copilotService.getSession(sessionId);
+    if (!record) {
+        res.status(404).json({ error: "Session not found" });
+        return false;
+    }
+    if (!Authenticator.canAccess(req.user, record)) {
+        res.status(403).json({ error: "Session belongs to another user" });
+        return false;
+    }
+    return true;
+}
+
+// Check that a model is in the catalog; responds 400 and returns false otherwise
+async function checkModel(res, model) {
+    try {
+        await copilotService.validateModel(model);
+        return true;
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return false;
+    }
+}
+
+// Check that the signed-in user has premium requests left today; responds 429
+// (with Retry-After) and returns false otherwise
+function checkBudget(req, res) {
+    try {
+        copilotService.checkBudget(req.user.id);
+        return true;
+    } catch (error) {
+        if (error.code !== "BUDGET_EXCEEDED") {
+            throw error;
+        }
+        res.setHeader("Retry-After", String(error.retryAfter));
+        res.status(429).json({ error: error.message, budget: error.budget });
+        return false;
+    }
+}
+
+// Run a check that throws one of the limit errors below (each with
+// error.retryAfter in seconds); responds 429 with Retry-After and returns false
+// if it does
+const LIMIT_ERRORS = ["TOO_MANY_STREAMS", "QUEUE_FULL"];
+
+function checkLimit(res, check) {
+    try {
+        check();
+        return true;
+    } catch (error) {
+        if (!LIMIT_ERRORS.includes(error.code)) {
+            throw error;
+        }
+        res.setHeader("Retry-After", String(error.retryAfter));
+        res.status(429).json({ error: error.message });
+        return false;
+    }
+}
+
+// Hold one of the client's concurrent stream slots until the response closes;
+// responds 429 and returns false if they are all in use
+function acquireStream(req, res) {
+    return checkLimit(res, () => {
+        res.once("close", rateLimiter.acquireStream(RateLimiter.clientKey(req)));
+    });
+}
+
+// Whether a prompt asked for the response cache ("cache": true) and can use it:
+// the cache is on and the prompt has no attachments
+function wantsCache(body) {
+    return body.cache === true && Boolean(copilotService.responses) && !body.attachments?.length;
+}
+
+// Answer a streaming prompt from a response cache entry: its chunks as delta
+// events, then done (without a session, since none was used)
+function replayCached(res, protocol, entry) {
+    const stream = new EventStream(res, { protocol });
+    for (const content of entry.chunks) {
+        stream.send({ type: "delta", data: { content } });
+    }
+    stream.send({ type: "done", data: { sessionId: null, status: "completed", cached: true } });
+    stream.end();
+}
+
+// Errors from CopilotService.resolveSessionOptions caused by the request
+const SESSION_OPTION_ERRORS = ["UNKNOWN_PRESET", "INVALID_PRESET", "UNKNOWN_MODEL", "UNKNOWN_SKILL", "INVALID_WORKSPACE"];
+
+// Session options from a request body's presetId and inline overrides (systemPrompt,
+// model, skills, availableTools, excludedTools, reasoningEffort, workspace,
+// workspaceRef); responds 400 and
+// returns null if they are invalid
+async function sessionOptions(body, res) {
+    try {
+        return await copilotService.resolveSessionOptions(body);
+    } catch (error) {
+        if (!SESSION_OPTION_ERRORS.includes(error.code)) {
+            throw error;
+        }
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+}
+
+// Errors from AttachmentStore.save caused by the upload
+const ATTACHMENT_ERROR_STATUS = { INVALID_ATTACHMENT: 400, ATTACHMENT_TOO_LARGE: 413, TOO_MANY_ATTACHMENTS: 400 };
+
+// Stored attachments for a request's attachment IDs; responds 400 and returns null
+// if they cannot be used. The caller checks the session's ownership.
+function requestAttachments(res, sessionId, ids) {
+    if (ids === undefined || ids === null || (Array.isArray(ids) && ids.length === 0)) {
+        return [];
+    }
+    if (!sessionId || !copilotService.getSession(sessionId)) {
+        res.status(400).json({ error: "attachments need the sessionId they were uploaded to" });
+        return null;
+    }
+    try {
+        return copilotService.attachments.resolve(sessionId, ids);
+    } catch (error) {
+        if (error.code !== "UNKNOWN_ATTACHMENT") {
+            throw error;
+        }
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+}
+
+// Attachment metadata for API responses (without the server-side path)
+function publicAttachment({ path: _path, ...attachment }) {
+    return attachment;
+}
+
+// Attachment uploads are raw file bodies, whatever their content type
+const ATTACHMENT_UPLOAD_PATH = /^\/api\/session\/[^/]+\/attachments$/;
+const uploadParser = express.raw({ type: () => true, limit: copilotService.attachments.maxBytes });
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(requestLogging());
+app.use(requestTelemetry({ knownModel: id => copilotService.models.has(id) }));
+app.use(cors({
+    origin: CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS,
+    exposedHeaders: ["WWW-Authenticate", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "X-Cache"],
+}));
+// Skill uploads carry file contents, so allow more than express's 100kb default
+app.use(express.json({
+    limit: process.env.JSON_BODY_LIMIT || "2mb",
+    type: req => !ATTACHMENT_UPLOAD_PATH.test(req.path) && Boolean(req.is("application/json")),
+}));
 app.use(express.static("public"));
 
+// Everything under /api, /v1 and /outputs needs an API key or bearer token
+app.use(["/api", "/v1", "/outputs"], authenticator.middleware());
+app.use(["/api", "/v1", "/outputs"], (req, res, next) => {
+    addLogContext({ userId: req.user.id });
+    next();
+});
+// Requests per minute per user (or IP); /v1 applies the limit with OpenAI-style errors
+app.use("/api", rateLimiter.middleware());
+
+// OpenAI-compatible /v1/chat/completions and /v1/models
+app.use("/v1", createOpenAIRouter(copilotService, { rateLimiter, modelQueue }));
+
+// Prometheus metrics
+app.get("/metrics", async (req, res) => {
+    if (METRICS_TOKEN && req.get("Authorization") !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({ error: "A valid metrics token is required" });
+    }
+    try {
+        res.type(registry.contentType);
+        res.send(await registry.metrics());
+    } catch (error) {
+        log.error("Error collecting metrics", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Health check endpoint
 app.get("/health", (req, res) => {
     res.json({ status: "healthy", timestamp: new Date().toISOString() });
@@ -23,22 +246,109 @@ app.get("/health", (req, res) => {
 // Session management endpoints
 app.post("/api/session/create", async (req, res) => {
     try {
-        const { model } = req.body;
-        const sessionId = await copilotService.createNewSession(model || "gpt-4.1");
+        const resolved = await sessionOptions(req.body, res);
+        if (!resolved) {
+            return;
+        }
+        const { model = DEFAULT_MODEL, ...options } = resolved;
+        res.locals.model = model;
+        const sessionId = await copilotService.createNewSession(model, { owner: req.user.id, ...options });
         res.json({ sessionId });
     } catch (error) {
-        console.error("Error creating session:", error);
+        // A workspace can still fail to check out after validation
+        if (error.code === "INVALID_WORKSPACE") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === "WORKSPACE_BUSY") {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.code === "SESSION_LIMIT") {
+            return res.status(503).json({ error: error.message });
+        }
+        log.error("Error creating session", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Models the Copilot CLI offers, cached for MODELS_CACHE_TTL_MS
+app.get("/api/models", async (req, res) => {
+    try {
+        const models = await copilotService.listModels();
+        res.json({ defaultModel: DEFAULT_MODEL, models });
+    } catch (error) {
+        log.error("Error listing models", { error });
         res.status(500).json({ error: error.message });
     }
 });
 
+// Lists the caller's sessions; admins may pass ?owner=<user> (or * for everyone's)
 app.get("/api/sessions", (req, res) => {
-    const sessions = copilotService.listSessions();
+    const owner = req.query.owner || req.user.id;
+    if (owner !== req.user.id && req.user.role !== "admin") {
+        return res.status(403).json({ error: "Cannot list another user's sessions" });
+    }
+    const sessions = copilotService.listSessions(owner === "*" ? {} : { owner });
     res.json({ sessions });
 });
 
+// Live session counts, limits and eviction counters
+app.get("/api/sessions/stats", Authenticator.requireAdmin, (req, res) => {
+    res.json(copilotService.lifecycle.stats());
+});
+
+// One session's settings and lifecycle: whether it is live, when it was last used
+// and when it expires
+app.get("/api/session/:sessionId", (req, res) => {
+    const { sessionId } = req.params;
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    res.json(copilotService.describeSession(copilotService.getSession(sessionId)));
+});
+
+app.get("/api/session/:sessionId/messages", (req, res) => {
+    const { sessionId } = req.params;
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    const history = copilotService.getMessages(sessionId);
+    if (!history) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+    res.json({
+        sessionId,
+        title: history.session.title || null,
+        model: history.session.model,
+        messages: history.messages,
+    });
+});
+
+app.patch("/api/session/:sessionId", (req, res) => {
+    const { sessionId } = req.params;
+    const title = typeof req.body.title === "string" ? req.body.title.trim() : "";
+    if (!title || title.length > 200) {
+        return res.status(400).json({ error: "Title must be 1-200 characters" });
+    }
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    try {
+        const record = copilotService.renameSession(sessionId, title);
+        if (!record) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        res.json({ success: true, sessionId, title: record.title });
+    } catch (error) {
+        log.error("Error renaming session", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.delete("/api/session/:sessionId", (req, res) => {
     const { sessionId } = req.params;
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
     const deleted = copilotService.deleteSession(sessionId);
     if (deleted) {
         res.json({ success: true, message: `Session ${sessionId} deleted` });
@@ -47,224 +357,752 @@ app.delete("/api/session/:sessionId", (req, res) => {
     }
 });
 
+// Cancel the prompt a session is currently processing; its stream ends with
+// a done event whose status is "cancelled"
+app.post("/api/session/:sessionId/abort", async (req, res) => {
+    const { sessionId } = req.params;
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    try {
+        const aborted = await copilotService.abortTurn(sessionId);
+        if (aborted === null) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        if (!aborted) {
+            return res.status(409).json({ error: "Session has no prompt in progress" });
+        }
+        res.json({ success: true, status: "cancelled" });
+    } catch (error) {
+        log.error("Error aborting session", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Answer an approval_required event: { decision: "approve" | "deny", feedback? }.
+// The waiting tool call continues (or is rejected) and the stream gets an
+// approval_resolved event.
+app.post("/api/session/:sessionId/approvals/:requestId", (req, res) => {
+    const { sessionId, requestId } = req.params;
+    const { decision, feedback } = req.body || {};
+    if (decision !== "approve" && decision !== "deny") {
+        return res.status(400).json({ error: "decision must be \"approve\" or \"deny\"" });
+    }
+    if (feedback != null && typeof feedback !== "string") {
+        return res.status(400).json({ error: "feedback must be a string" });
+    }
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    const resolved = copilotService.resolveApproval(sessionId, requestId, decision === "approve", { feedback });
+    if (resolved === null) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+    if (!resolved) {
+        return res.status(404).json({ error: "No pending approval with this ID" });
+    }
+    res.json({ success: true, requestId, decision });
+});
+
+// Upload a file into a session: the request body is the file's content and ?name=
+// its file name. Returns the attachment ({ id, name, size, contentType, createdAt });
+// pass its ID in a chat request's attachments array.
+app.post("/api/session/:sessionId/attachments", (req, res, next) => {
+    if (authorizeSession(req, res, req.params.sessionId)) {
+        next();
+    }
+}, (req, res, next) => {
+    uploadParser(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        const tooLarge = error.type === "entity.too.large";
+        res.status(tooLarge ? 413 : error.status || 400).json({
+            error: tooLarge ? `Attachments may be at most ${copilotService.attachments.maxBytes} bytes` : error.message,
+        });
+    });
+}, (req, res) => {
+    try {
+        const name = req.query.name || req.get("X-File-Name");
+        const attachment = copilotService.attachments.save(req.params.sessionId, name, req.body);
+        res.status(201).json(publicAttachment(attachment));
+    } catch (error) {
+        const status = ATTACHMENT_ERROR_STATUS[error.code];
+        if (!status) {
+            log.error("Error storing attachment", { error });
+        }
+        res.status(status || 500).json({ error: error.message });
+    }
+});
+
+app.get("/api/session/:sessionId/attachments", (req, res) => {
+    if (!authorizeSession(req, res, req.params.sessionId)) {
+        return;
+    }
+    const attachments = copilotService.attachments.list(req.params.sessionId).map(publicAttachment);
+    res.json({ attachments });
+});
+
+app.delete("/api/session/:sessionId/attachments/:attachmentId", (req, res) => {
+    const { sessionId, attachmentId } = req.params;
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    if (!copilotService.attachments.delete(sessionId, attachmentId)) {
+        return res.status(404).json({ error: "Attachment not found" });
+    }
+    res.json({ success: true });
+});
+
+// Reconnect to a session's stream: replays events after Last-Event-ID (header or
+// ?lastEventId=), then keeps streaming live events until the current turn ends
+app.get("/api/session/:sessionId/events", (req, res) => {
+    const { sessionId } = req.params;
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+    const afterSeq = lastEventId !== undefined && lastEventId !== "" ? Number(lastEventId) : null;
+
+    if (afterSeq !== null && !Number.isInteger(afterSeq)) {
+        return res.status(400).json({ error: "Last-Event-ID must be an integer" });
+    }
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    if (!copilotService.sessions.has(sessionId)) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+    if (!acquireStream(req, res)) {
+        return;
+    }
+
+    const stream = new EventStream(res);
+    let live = false;
+    const onEvent = (event) => {
+        stream.send(event);
+        // Replayed done/error events may belong to earlier turns; only a live one ends the stream
+        if (live && (event.type === "done" || event.type === "error")) {
+            stream.end();
+        }
+    };
+
+    const { active, unfollow } = copilotService.followEvents(sessionId, afterSeq, onEvent);
+    live = true;
+    res.on("close", unfollow);
+    if (!active) {
+        stream.end();
+    }
+});
+
+// Skills in the skills directory. Anyone signed in can read them; installing
+// and deleting skills is for admins.
+app.get("/api/skills", (req, res) => {
+    res.json({ skills: copilotService.skills.list() });
+});
+
+app.get("/api/skills/:name", (req, res) => {
+    const skill = copilotService.skills.get(req.params.name);
+    if (!skill) {
+        return res.status(404).json({ error: "Skill not found" });
+    }
+    res.json(skill);
+});
+
+// Check an upload ({ name, files: [{ path, content, encoding }] }) without installing it
+app.post("/api/skills/validate", (req, res) => {
+    const { name, files } = req.body;
+    res.json(copilotService.skills.validate(name, files));
+});
+
+// Install or replace a skill: { files: [{ path, content, encoding: "utf8" | "base64" }] }
+app.put("/api/skills/:name", Authenticator.requireAdmin, (req, res) => {
+    const { name } = req.params;
+    if (!SkillStore.isValidName(name)) {
+        return res.status(400).json({ error: "Invalid skill name" });
+    }
+    try {
+        const existed = Boolean(copilotService.skills.get(name));
+        const { content: _content, ...skill } = copilotService.skills.save(name, req.body.files);
+        if (existed) {
+            // Cached answers may rely on the skill's old content
+            copilotService.responses?.purge();
+        }
+        res.status(existed ? 200 : 201).json({ success: true, skill });
+    } catch (error) {
+        if (error.code === "INVALID_SKILL") {
+            return res.status(400).json({ error: "Invalid skill", errors: error.errors });
+        }
+        log.error("Error installing skill", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete("/api/skills/:name", Authenticator.requireAdmin, (req, res) => {
+    const { name } = req.params;
+    try {
+        if (copilotService.skills.delete(name)) {
+            res.json({ success: true, message: `Skill ${name} deleted` });
+        } else {
+            res.status(404).json({ error: "Skill not found" });
+        }
+    } catch (error) {
+        log.error("Error deleting skill", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Custom tools loaded from the tools directory
+app.get("/api/tools", async (req, res) => {
+    try {
+        await copilotService.tools.load();
+        res.json({ tools: copilotService.tools.list() });
+    } catch (error) {
+        log.error("Error listing tools", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Batch jobs: { prompts: [...], model?, systemPrompt? } runs every prompt in its own
+// one-shot session, BATCH_CONCURRENCY at a time. Returns 202 with the job's ID.
+app.post("/api/batch", async (req, res) => {
+    const { prompts, model = DEFAULT_MODEL, systemPrompt = null } = req.body || {};
+    if (!Array.isArray(prompts) || prompts.length === 0 || !prompts.every(prompt => typeof prompt === "string" && prompt.trim())) {
+        return res.status(400).json({ error: "prompts must be a non-empty array of strings" });
+    }
+    if (prompts.length > batches.maxItems) {
+        return res.status(400).json({ error: `A batch may have at most ${batches.maxItems} prompts` });
+    }
+    if (systemPrompt !== null && typeof systemPrompt !== "string") {
+        return res.status(400).json({ error: "systemPrompt must be a string" });
+    }
+    if (!(await checkModel(res, model)) || !checkBudget(req, res)) {
+        return;
+    }
+    res.locals.model = model;
+    // client: the key the batch's prompts wait for the model under (see RateLimiter.clientKey)
+    const job = batches.create({ prompts, owner: req.user.id, options: { model, systemPrompt, client: RateLimiter.clientKey(req) } });
+    res.status(202).json({ id: job.id, status: job.status, itemCount: job.items.length });
+});
+
+// The caller's batch jobs (without their items)
+app.get("/api/batch", (req, res) => {
+    const jobs = batches.list(req.user.role === "admin" && req.query.owner === "*" ? {} : { owner: req.user.id })
+        .map(job => {
+            const { items: _items, ...summary } = BatchQueue.describe(job);
+            return summary;
+        });
+    res.json({ jobs });
+});
+
+// Look up a batch job the caller may see; responds 404/403 and returns null otherwise
+function authorizeBatch(req, res) {
+    const job = batches.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: "Batch job not found" });
+        return null;
+    }
+    if (!Authenticator.canAccess(req.user, job)) {
+        res.status(403).json({ error: "Batch job belongs to another user" });
+        return null;
+    }
+    return job;
+}
+
+app.get("/api/batch/:id", (req, res) => {
+    const job = authorizeBatch(req, res);
+    if (job) {
+        res.json(BatchQueue.describe(job));
+    }
+});
+
+// Results so far as JSON Lines, one line per prompt
+app.get("/api/batch/:id/results", (req, res) => {
+    const job = authorizeBatch(req, res);
+    if (!job) {
+        return;
+    }
+    res.type("application/x-ndjson");
+    res.setHeader("Content-Disposition", `attachment; filename="${job.id}.jsonl"`);
+    res.send(BatchQueue.toJsonl(job));
+});
+
+// Cancel a batch job: queued prompts are skipped and running ones aborted
+app.post("/api/batch/:id/cancel", (req, res) => {
+    const job = authorizeBatch(req, res);
+    if (!job) {
+        return;
+    }
+    if (!batches.cancel(job.id)) {
+        return res.status(409).json({ error: `Batch job is already ${job.status}` });
+    }
+    res.json({ success: true, status: job.status });
+});
+
+// Token and premium request totals between ?from and ?to (ISO dates, to exclusive),
+// optionally per ?groupBy=user|session|model|day; ?format=csv exports them as CSV.
+// Users see their own usage, admins everyone's (or one user's with ?owner=).
+app.get("/api/usage", (req, res) => {
+    const { groupBy = null, format = "json" } = req.query;
+    let owner = req.user.id;
+    if (req.user.role === "admin") {
+        owner = req.query.owner || undefined;
+    } else if (req.query.owner && req.query.owner !== req.user.id) {
+        return res.status(403).json({ error: "Cannot read another user's usage" });
+    }
+    const [from, to] = [req.query.from, req.query.to].map(value => (value ? new Date(value) : null));
+    if ([from, to].some(date => date && isNaN(date.getTime()))) {
+        return res.status(400).json({ error: "from and to must be ISO 8601 dates" });
+    }
+    if (format !== "json" && format !== "csv") {
+        return res.status(400).json({ error: "format must be json or csv" });
+    }
+
+    let summary;
+    try {
+        summary = copilotService.usage.summarize({ from, to, owner, groupBy });
+    } catch (error) {
+        if (error.code !== "INVALID_USAGE_QUERY") {
+            throw error;
+        }
+        return res.status(400).json({ error: error.message });
+    }
+    if (format === "csv") {
+        res.type("text/csv");
+        res.setHeader("Content-Disposition", 'attachment; filename="usage.csv"');
+        return res.send(UsageStore.toCsv(summary, groupBy));
+    }
+    res.json({
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        owner: owner ?? null,
+        groupBy,
+        ...summary,
+        budget: copilotService.usage.budgetStatus(req.user.id),
+    });
+});
+
+// Drop every cached response (admins only)
+app.delete("/api/cache", Authenticator.requireAdmin, (req, res) => {
+    const purged = copilotService.responses?.purge() || 0;
+    log.info("Purged response cache", { purged });
+    res.json({ success: true, purged });
+});
+
+// Repositories under WORKSPACE_ROOTS that sessions can be bound to
+app.get("/api/workspaces", async (req, res) => {
+    try {
+        res.json({ enabled: copilotService.workspaces.enabled, workspaces: await copilotService.workspaces.list() });
+    } catch (error) {
+        log.error("Error listing workspaces", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Files a turn changed in the session's workspace: { turn, files, diff, truncated }
+// (?format=diff returns just the unified diff as text/x-diff)
+app.get("/api/session/:sessionId/turns/:turn/changes", async (req, res) => {
+    const { sessionId } = req.params;
+    const turn = Number(req.params.turn);
+    if (!Number.isInteger(turn) || turn < 1) {
+        return res.status(400).json({ error: "turn must be a positive integer" });
+    }
+    if (!authorizeSession(req, res, sessionId)) {
+        return;
+    }
+    try {
+        const changes = await copilotService.getTurnChanges(sessionId, turn);
+        if (!changes) {
+            return res.status(404).json({ error: "No workspace changes recorded for this turn" });
+        }
+        if (req.query.format === "diff") {
+            return res.type("text/x-diff").send(changes.diff);
+        }
+        res.json(changes);
+    } catch (error) {
+        log.error("Error reading turn changes", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Session presets: named system prompt, model, skills and tool settings that
+// /api/session/create and /api/chat/stream accept as presetId. Admins manage them.
+app.get("/api/presets", (req, res) => {
+    res.json({ presets: copilotService.presets.list() });
+});
+
+app.get("/api/presets/:id", (req, res) => {
+    const preset = copilotService.presets.get(req.params.id);
+    if (!preset) {
+        return res.status(404).json({ error: "Preset not found" });
+    }
+    res.json(preset);
+});
+
+app.post("/api/presets", Authenticator.requireAdmin, async (req, res) => {
+    try {
+        // Checks the model and skills the preset names
+        if (!(await sessionOptions({ ...req.body, presetId: null }, res))) {
+            return;
+        }
+        const preset = copilotService.presets.create(req.body);
+        res.status(201).json(preset);
+    } catch (error) {
+        if (error.code === "INVALID_PRESET") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === "PRESET_EXISTS") {
+            return res.status(409).json({ error: error.message });
+        }
+        log.error("Error creating preset", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch("/api/presets/:id", Authenticator.requireAdmin, async (req, res) => {
+    try {
+        if (!(await sessionOptions({ ...req.body, presetId: null }, res))) {
+            return;
+        }
+        const preset = copilotService.presets.update(req.params.id, req.body);
+        if (!preset) {
+            return res.status(404).json({ error: "Preset not found" });
+        }
+        res.json(preset);
+    } catch (error) {
+        if (error.code === "INVALID_PRESET") {
+            return res.status(400).json({ error: error.message });
+        }
+        log.error("Error updating preset", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete("/api/presets/:id", Authenticator.requireAdmin, (req, res) => {
+    try {
+        if (copilotService.presets.delete(req.params.id)) {
+            res.json({ success: true, message: `Preset ${req.params.id} deleted` });
+        } else {
+            res.status(404).json({ error: "Preset not found" });
+        }
+    } catch (error) {
+        log.error("Error deleting preset", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generated artifacts, scoped to the session that produced them
+app.get("/outputs/:sessionId/:name", (req, res) => {
+    const { sessionId, name } = req.params;
+    if (!Authenticator.canAccess(req.user, copilotService.getSession(sessionId))) {
+        return res.status(403).json({ error: "File belongs to another user's session" });
+    }
+    const file = copilotService.artifacts.get(sessionId, name);
+    if (!file) {
+        return res.status(404).json({ error: "File not found" });
+    }
+    // Sets Content-Type from the extension and Content-Disposition: attachment
+    res.download(file.path, file.name, (err) => {
+        if (err && !res.headersSent) {
+            log.error("Error sending file", { error: err });
+            res.status(500).json({ error: "Could not send file" });
+        }
+    });
+});
+
+app.get("/api/files", (req, res) => {
+    const { sessionId } = req.query;
+    if (sessionId && !copilotService.artifacts.sessionDir(sessionId)) {
+        return res.status(400).json({ error: "Invalid session ID" });
+    }
+    if (sessionId && !Authenticator.canAccess(req.user, copilotService.getSession(sessionId))) {
+        return res.status(403).json({ error: "Session belongs to another user" });
+    }
+    const files = copilotService.artifacts.list({ sessionId })
+        .filter(file => Authenticator.canAccess(req.user, copilotService.getSession(file.sessionId)));
+    res.json({ files });
+});
+
+app.delete("/api/files/:sessionId/:name", (req, res) => {
+    const { sessionId, name } = req.params;
+    if (!copilotService.artifacts.resolve(sessionId, name)) {
+        return res.status(400).json({ error: "Invalid file name" });
+    }
+    if (!Authenticator.canAccess(req.user, copilotService.getSession(sessionId))) {
+        return res.status(403).json({ error: "File belongs to another user's session" });
+    }
+    try {
+        const deleted = copilotService.artifacts.delete(sessionId, name);
+        if (deleted) {
+            res.json({ success: true, message: `File ${name} deleted` });
+        } else {
+            res.status(404).json({ error: "File not found" });
+        }
+    } catch (error) {
+        log.error("Error deleting file", { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Send prompt endpoint (non-streaming)
 app.post("/api/chat", async (req, res) => {
     try {
-        const { prompt, model } = req.body;
+        const { prompt, model, sessionId } = req.body;
 
         if (!prompt) {
             return res.status(400).json({ error: "Prompt is required" });
         }
 
-        // Check if this is a CLI command (starts with /)
-        if (prompt.trim().startsWith('/')) {
+        // Slash commands go to the Copilot CLI
+        if (CommandRunner.isCommand(prompt)) {
             try {
-                console.log(`Executing CLI command: ${prompt}`);
-
-                // Execute the command using echo to pipe it to copilot CLI
-                const { stdout, stderr } = await execAsync(
-                    `echo "${prompt.replace(/"/g, '\\"')}" | copilot`,
-                    {
-                        env: {
-                            ...process.env,
-                            GITHUB_TOKEN: process.env.GITHUB_TOKEN,
-                            GH_TOKEN: process.env.GITHUB_TOKEN
-                        },
-                        timeout: 30000
-                    }
-                );
-
-                const output = stdout || stderr || 'Command executed successfully';
-                console.log(`CLI output: ${output.substring(0, 200)}`);
-
-                res.json({ response: output });
-                return;
+                log.info("Executing CLI command", { command: prompt.trim().split(/\s+/)[0] });
+                const result = await commandRunner.run(prompt);
+                log.info("CLI command finished", { exitCode: result.exitCode, durationMs: result.durationMs });
+
+                const output = result.stdout || result.stderr || 'Command executed successfully';
+                res.json({ response: output, command: result });
             } catch (cliError) {
-                console.error("CLI command error:", cliError);
-                res.json({
-                    response: `Error executing command: ${cliError.message}\n\nNote: The Copilot CLI is running in SDK mode. Some interactive commands may not work.\n\nTry asking as a question instead, like: "What agents are available?"`
-                });
-                return;
+                log.error("CLI command error", { error: cliError });
+                res.status(commandErrorStatus(cliError)).json({ error: cliError.message });
             }
+            return;
         }
 
         // Regular SDK prompt
-        const result = await copilotService.sendPrompt(
-            prompt,
-            model || "gpt-4.1",
-            false
-        );
+        if (!(await checkModel(res, model || DEFAULT_MODEL))) {
+            return;
+        }
+        res.locals.model = model || DEFAULT_MODEL;
+        // Cache hits use neither the model nor the budget
+        const cacheKey = wantsCache(req.body) ? copilotService.responseCacheKey(prompt, "chat", { model: model || DEFAULT_MODEL }) : null;
+        if (cacheKey) {
+            const cached = copilotService.responses.get(cacheKey);
+            res.setHeader("X-Cache", cached ? "HIT" : "MISS");
+            if (cached) {
+                return res.json({ response: cached.content, cached: true });
+            }
+        }
+        if (!checkBudget(req, res)) {
+            return;
+        }
+        if (req.body.attachments?.length && sessionId && !authorizeSession(req, res, sessionId)) {
+            return;
+        }
+        const attachments = requestAttachments(res, sessionId, req.body.attachments);
+        if (!attachments || !checkLimit(res, () => modelQueue.checkCapacity(model || DEFAULT_MODEL))) {
+            return;
+        }
+        // Stop waiting for the model once the client goes away
+        const controller = new AbortController();
+        res.on("close", () => controller.abort());
+        const release = await modelQueue.acquire(model || DEFAULT_MODEL, { owner: RateLimiter.clientKey(req), signal: controller.signal });
+        let result;
+        try {
+            result = await copilotService.sendPrompt(
+                prompt,
+                model || DEFAULT_MODEL,
+                false,
+                null,
+                attachments,
+                req.user.id
+            );
+        } finally {
+            release();
+        }
 
+        if (cacheKey && result.fullResponse) {
+            copilotService.responses.set(cacheKey, { content: result.fullResponse, chunks: result.chunks, model: model || DEFAULT_MODEL });
+        }
         res.json({ response: result.fullResponse });
     } catch (error) {
-        console.error("Error processing chat request:", error);
+        if (error.code === "CANCELLED") {
+            return;
+        }
+        log.error("Error processing chat request", { error });
         res.status(500).json({ error: error.message });
     }
 });
 
 // Send prompt endpoint (streaming)
+// Streams typed SSE events by default; pass protocol: "legacy" (body or query)
+// for the original {chunk} messages
 app.post("/api/chat/stream", async (req, res) => {
-    let streamEnded = false;
-    let keepaliveInterval = null;
-    let hasReceivedChunks = false;
-    let currentSessionId = null;
-
-    const endStream = (reason) => {
-        if (!streamEnded) {
-            console.log(`Stream ending: ${reason}`);
-            streamEnded = true;
-            if (keepaliveInterval) {
-                clearInterval(keepaliveInterval);
-                keepaliveInterval = null;
-            }
-        }
-    };
+    const { prompt, sessionId } = req.body;
+    const protocol = req.body.protocol || req.query.protocol || "events";
+    const cancelOnDisconnect = req.body.cancelOnDisconnect ?? CANCEL_ON_DISCONNECT;
 
-    try {
-        const { prompt, model, sessionId } = req.body;
+    if (!prompt) {
+        return res.status(400).json({ error: "Prompt is required" });
+    }
+    if (protocol !== "events" && protocol !== "legacy") {
+        return res.status(400).json({ error: `Unknown protocol: ${protocol}` });
+    }
+    // Unknown session IDs start a new session; known ones must belong to the caller
+    if (sessionId && copilotService.getSession(sessionId) && !authorizeSession(req, res, sessionId)) {
+        return;
+    }
 
-        if (!prompt) {
-            return res.status(400).json({ error: "Prompt is required" });
+    // Slash commands run through the CLI and stream back a single command event
+    if (CommandRunner.isCommand(prompt)) {
+        try {
+            commandRunner.validate(prompt);
+        } catch (error) {
+            return res.status(commandErrorStatus(error)).json({ error: error.message });
         }
 
-        // Set headers for SSE (Server-Sent Events)
-        res.setHeader("Content-Type", "text/event-stream");
-        res.setHeader("Cache-Control", "no-cache");
-        res.setHeader("Connection", "keep-alive");
-        res.setHeader("X-Accel-Buffering", "no"); // Disable buffering in nginx
-
-        // Flush headers to establish connection
-        res.flushHeaders();
-
-        // Send initial comment to establish connection
-        res.write(": connected\n\n");
-
-        // Send an immediate "processing" message to keep browser engaged
-        res.write("data: " + JSON.stringify({ processing: true }) + "\n\n");
+        const stream = new EventStream(res, { protocol });
+        try {
+            const result = await commandRunner.run(prompt);
+            stream.send({ type: "command", data: result });
+            stream.send({ type: "done", data: { sessionId: sessionId || null, status: "completed" } });
+        } catch (error) {
+            log.error("CLI command error", { error });
+            stream.send({ type: "error", data: { message: error.message } });
+        } finally {
+            stream.end();
+        }
+        return;
+    }
 
-        // Send keepalive comments every 500ms to prevent timeout (aggressive)
-        keepaliveInterval = setInterval(() => {
-            if (!streamEnded && !res.destroyed) {
-                try {
-                    res.write(": keepalive\n\n");
-                } catch (err) {
-                    console.error("Keepalive write error:", err);
-                    endStream("keepalive error");
-                }
-            } else {
-                clearInterval(keepaliveInterval);
-            }
-        }, 500);
+    // A preset and overrides shape the session this prompt creates; an existing session keeps its settings
+    let resolved;
+    try {
+        resolved = await sessionOptions(req.body, res);
+    } catch (error) {
+        log.error("Error resolving session options", { error });
+        return res.status(500).json({ error: error.message });
+    }
+    if (!resolved) {
+        return;
+    }
+    const { model = DEFAULT_MODEL, ...options } = resolved;
+    // An existing session keeps running on its own model
+    const turnModel = copilotService.getSession(sessionId)?.model || model;
+    res.locals.model = turnModel;
+    // Only prompts that start a new conversation outside a workspace are cached
+    const cacheKey = wantsCache(req.body) && !sessionId && !options.workspace
+        ? copilotService.responseCacheKey(prompt, "session", resolved)
+        : null;
+    if (cacheKey) {
+        const cached = copilotService.responses.get(cacheKey);
+        res.setHeader("X-Cache", cached ? "HIT" : "MISS");
+        if (cached) {
+            return replayCached(res, protocol, cached);
+        }
+    }
+    if (!checkBudget(req, res)) {
+        return;
+    }
+    // Uploaded files to send with the prompt, by attachment ID
+    const attachments = requestAttachments(res, sessionId, req.body.attachments);
+    if (!attachments || !checkLimit(res, () => modelQueue.checkCapacity(turnModel)) || !acquireStream(req, res)) {
+        return;
+    }
 
-        // Handle client disconnect - only log, don't set streamEnded
-        // The close event fires when request body is done, not when client disconnects for SSE
-        req.on("close", () => {
-            console.log("Request close event received (this is normal for POST + SSE)");
-        });
+    const stream = new EventStream(res, { protocol });
+    let streamSessionId = null;
+    let turnOver = false;
+    const chunks = []; // Answer text to cache
 
-        // Only end stream when response is actually closed/errored
-        res.on("close", () => {
-            console.log("Response close event - client disconnected");
-            endStream("response closed");
+    // While the model is at its concurrency limit the client is told its place in line
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+    let release;
+    try {
+        release = await modelQueue.acquire(turnModel, {
+            owner: RateLimiter.clientKey(req),
+            signal: controller.signal,
+            onPosition: position => stream.send({ type: "queued", data: { model: turnModel, position } }),
         });
+    } catch (error) {
+        // The stream is open, so errors can only be reported on it
+        if (error.code === "CANCELLED") {
+            log.info("Client disconnected while queued");
+        } else {
+            log.error("Error waiting for the model", { error });
+            stream.send({ type: "error", data: { message: error.message } });
+        }
+        return stream.end();
+    }
 
-        res.on("error", (err) => {
-            console.error("Response error:", err);
-            endStream("response error");
-        });
+    // By default the turn keeps running after a disconnect so the client can
+    // reconnect through /api/session/:sessionId/events
+    res.on("close", () => {
+        if (cancelOnDisconnect && streamSessionId && !turnOver) {
+            log.info("Client disconnected, cancelling turn", { sessionId: streamSessionId });
+            copilotService.abortTurn(streamSessionId).catch((err) => {
+                log.error("Error cancelling turn after disconnect", { error: err });
+            });
+        }
+    });
 
-        currentSessionId = await copilotService.sendPromptStreaming(
-            prompt,
-            model || "gpt-4.1",
-            (chunk) => {
-                hasReceivedChunks = true;
-                // Send chunk to client if stream is still open
-                console.log("onChunk callback called, chunk:", chunk ? chunk.substring(0, 50) : "EMPTY", "streamEnded:", streamEnded, "destroyed:", res.destroyed);
-                if (!streamEnded && !res.destroyed && res.writable) {
-                    try {
-                        res.write(`data: ${JSON.stringify({ chunk })}\n\n`);
-                        console.log("✓ Chunk written to response");
-                    } catch (err) {
-                        console.error("Error writing chunk:", err);
-                        endStream("write error");
-                    }
-                }
-            },
-            (returnedSessionId) => {
-                // Send completion signal with sessionId if stream is still open
-                currentSessionId = returnedSessionId;
-                console.log("onComplete called, sessionId:", currentSessionId, "streamEnded:", streamEnded, "destroyed:", res.destroyed);
-                if (!streamEnded && !res.destroyed && res.writable) {
-                    try {
-                        res.write(`data: ${JSON.stringify({ done: true, sessionId: currentSessionId })}\n\n`);
-                        res.end();
-                        console.log("✓ Stream completed and ended, sessionId:", currentSessionId);
-                    } catch (err) {
-                        console.error("Error writing completion:", err);
-                    }
-                }
-                endStream("completed");
-            },
-            (error) => {
-                // Handle error if stream is still open
-                console.log("onError called:", error.message, "streamEnded:", streamEnded);
-                if (!streamEnded && !res.destroyed && res.writable) {
-                    try {
-                        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-                        res.end();
-                    } catch (err) {
-                        console.error("Error writing error message:", err);
-                    }
+    try {
+        const result = await copilotService.sendPromptStreaming(prompt, {
+            model,
+            sessionId,
+            owner: req.user.id,
+            options,
+            attachments,
+            interactive: protocol === "events",
+            onEvent: (event) => {
+                if (event.type === "session") {
+                    streamSessionId = event.data.sessionId;
+                } else if (event.type === "delta") {
+                    chunks.push(event.data.content);
+                } else if (event.type === "done" || event.type === "error") {
+                    turnOver = true;
                 }
-                endStream("error");
+                stream.send(event);
             },
-            sessionId // Pass the sessionId from the request
-        );
+        });
+        log.info("Stream finished", { sessionId: result.sessionId, turn: result.turn, status: result.status });
+        if (cacheKey && result.status === "completed" && chunks.length > 0) {
+            copilotService.responses.set(cacheKey, { content: chunks.join(""), chunks, model: turnModel });
+        }
     } catch (error) {
-        console.error("Error processing streaming chat request:", error);
-        if (!streamEnded && !res.destroyed) {
-            try {
-                res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-                res.end();
-            } catch (err) {
-                console.error("Error writing final error:", err);
-            }
+        log.error("Error processing streaming chat request", { error });
+        // Errors raised during a turn were already sent as an error event
+        if (!error.handled) {
+            stream.send({ type: "error", data: { message: error.message } });
         }
+    } finally {
+        release();
+        stream.end();
     }
 });
 
 // Global error handlers to prevent crashes
 process.on("uncaughtException", (error) => {
-    console.error("Uncaught Exception:", error);
+    log.error("Uncaught Exception", { error });
     // Don't exit - keep the server running
 });
 
-process.on("unhandledRejection", (reason, promise) => {
-    console.error("Unhandled Rejection at:", promise, "reason:", reason);
+process.on("unhandledRejection", (reason) => {
+    log.error("Unhandled rejection", { error: reason });
     // Don't exit - keep the server running
 });
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
-    console.log("SIGTERM received, shutting down gracefully...");
+    log.info("SIGTERM received, shutting down gracefully");
     await copilotService.stop();
+    await stopTracing();
     process.exit(0);
 });
 
 process.on("SIGINT", async () => {
-    console.log("SIGINT received, shutting down gracefully...");
+    log.info("SIGINT received, shutting down gracefully");
     await copilotService.stop();
+    await stopTracing();
     process.exit(0);
 });
 
 app.listen(PORT, async () => {
-    console.log(`Copilot wrapper service running on port ${PORT}`);
-    console.log("Initializing Copilot client on startup...");
+    log.info("Copilot wrapper service running", { port: PORT });
+    log.info("Initializing Copilot client on startup");
     try {
         await copilotService.initialize();
-        console.log("✓ Copilot client ready");
+        log.info("Copilot client ready");
     } catch (error) {
-        console.error("Failed to initialize Copilot client:", error);
-        console.error("The service will attempt to initialize on first request");
+        log.error("Failed to initialize Copilot client", { error });
+        log.error("The service will attempt to initialize on first request");
     }
 });
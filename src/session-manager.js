@@ -0,0 +1,182 @@
+import { metrics } from './telemetry.js';
+import logger from './logger.js';
+
+const log = logger.child({ component: "session-manager" });
+
+function limitError(message) {
+    const error = new Error(message);
+    error.code = "SESSION_LIMIT";
+    return error;
+}
+
+// Limits on live SDK sessions. Every session in CopilotService.sessions is tracked
+// here with its owner and last use. Sessions are evicted (disconnected, but kept in the
+// session store so they can be restored later) when they sit idle for idleTtlMs, or,
+// least recently used first, to make room under the global and per-user caps. A
+// session older than maxAgeMs is evicted and not restored again.
+class SessionManager {
+    constructor({
+        evict,
+        isBusy = () => false,
+        idleTtlMs = Number(process.env.SESSION_IDLE_TTL_MS) || 30 * 60 * 1000,
+        maxAgeMs = Number(process.env.SESSION_MAX_AGE_MS) || 24 * 60 * 60 * 1000,
+        maxSessions = Number(process.env.MAX_SESSIONS) || 100,
+        maxSessionsPerUser = Number(process.env.MAX_SESSIONS_PER_USER) || 10,
+        sweepIntervalMs = 60 * 1000,
+    }) {
+        this.evict = evict; // async (sessionId, reason) => void
+        this.isBusy = isBusy; // Sessions with a turn in progress are never evicted
+        this.idleTtlMs = idleTtlMs;
+        this.maxAgeMs = maxAgeMs;
+        this.maxSessions = maxSessions;
+        this.maxSessionsPerUser = maxSessionsPerUser;
+        this.sweepIntervalMs = sweepIntervalMs;
+        // sessionId -> { owner, createdAt, lastUsedAt }, least recently used first
+        this.entries = new Map();
+        this.timer = null;
+        this.metrics = {
+            created: 0,
+            evicted: { idle: 0, max_age: 0, capacity: 0, user_capacity: 0 },
+        };
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+            this.timer.unref?.();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    add(sessionId, { owner = null, createdAt = new Date() } = {}) {
+        this.entries.set(sessionId, { owner, createdAt: new Date(createdAt), lastUsedAt: new Date() });
+        this.metrics.created++;
+        metrics.sessionsCreated.inc();
+        metrics.liveSessions.set(this.entries.size);
+    }
+
+    remove(sessionId) {
+        this.entries.delete(sessionId);
+        metrics.liveSessions.set(this.entries.size);
+    }
+
+    // Mark a session as just used (moves it to the back of the LRU order)
+    touch(sessionId) {
+        const entry = this.entries.get(sessionId);
+        if (entry) {
+            this.entries.delete(sessionId);
+            entry.lastUsedAt = new Date();
+            this.entries.set(sessionId, entry);
+        }
+    }
+
+    // Whether a session created at createdAt is past the maximum age
+    isExpired(createdAt) {
+        return Date.now() - new Date(createdAt).getTime() > this.maxAgeMs;
+    }
+
+    // { lastUsedAt, expiresAt, expiresBecause } of a live session, or null.
+    // expiresBecause is "idle" or "max_age", whichever comes first.
+    describe(sessionId) {
+        const entry = this.entries.get(sessionId);
+        if (!entry) {
+            return null;
+        }
+        const idleExpiry = entry.lastUsedAt.getTime() + this.idleTtlMs;
+        const ageExpiry = entry.createdAt.getTime() + this.maxAgeMs;
+        return {
+            lastUsedAt: entry.lastUsedAt.toISOString(),
+            expiresAt: new Date(Math.min(idleExpiry, ageExpiry)).toISOString(),
+            expiresBecause: idleExpiry <= ageExpiry ? "idle" : "max_age",
+        };
+    }
+
+    count(owner) {
+        let count = 0;
+        for (const entry of this.entries.values()) {
+            if (owner === undefined || entry.owner === owner) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    async evictSession(sessionId, reason) {
+        const entry = this.entries.get(sessionId);
+        this.entries.delete(sessionId);
+        this.metrics.evicted[reason]++;
+        metrics.sessionsEvicted.inc({ reason });
+        metrics.liveSessions.set(this.entries.size);
+        const idleFor = entry ? Math.round((Date.now() - entry.lastUsedAt.getTime()) / 1000) : 0;
+        log.info("Evicting session", { sessionId, reason, idleSeconds: idleFor, owner: entry?.owner || null });
+        try {
+            await this.evict(sessionId, reason);
+        } catch (e) {
+            log.warn("Could not evict session", { sessionId, error: e.message });
+        }
+    }
+
+    // Least recently used session that is not busy (optionally of one owner)
+    leastRecentlyUsed(owner) {
+        for (const [sessionId, entry] of this.entries) {
+            if ((owner === undefined || entry.owner === owner) && !this.isBusy(sessionId)) {
+                return sessionId;
+            }
+        }
+        return null;
+    }
+
+    // Evict sessions until one more fits for owner. Throws an error with code
+    // SESSION_LIMIT if every session in the way is busy.
+    async makeRoom(owner) {
+        while (this.count(owner) >= this.maxSessionsPerUser) {
+            const sessionId = this.leastRecentlyUsed(owner);
+            if (!sessionId) {
+                throw limitError(`User ${owner} already has ${this.maxSessionsPerUser} busy sessions`);
+            }
+            await this.evictSession(sessionId, "user_capacity");
+        }
+        while (this.count() >= this.maxSessions) {
+            const sessionId = this.leastRecentlyUsed();
+            if (!sessionId) {
+                throw limitError(`All ${this.maxSessions} sessions are busy`);
+            }
+            await this.evictSession(sessionId, "capacity");
+        }
+    }
+
+    // Evict idle and too old sessions
+    async sweep() {
+        const now = Date.now();
+        for (const [sessionId, entry] of [...this.entries]) {
+            if (this.isBusy(sessionId)) {
+                continue;
+            }
+            if (now - entry.createdAt.getTime() > this.maxAgeMs) {
+                await this.evictSession(sessionId, "max_age");
+            } else if (now - entry.lastUsedAt.getTime() > this.idleTtlMs) {
+                await this.evictSession(sessionId, "idle");
+            }
+        }
+    }
+
+    stats() {
+        return {
+            live: this.count(),
+            limits: {
+                idleTtlMs: this.idleTtlMs,
+                maxAgeMs: this.maxAgeMs,
+                maxSessions: this.maxSessions,
+                maxSessionsPerUser: this.maxSessionsPerUser,
+            },
+            created: this.metrics.created,
+            evicted: { ...this.metrics.evicted },
+        };
+    }
+}
+
+export default SessionManager;
@@ -0,0 +1,159 @@
+import path from 'path';
+import fs from 'fs';
+import logger from './logger.js';
+
+const log = logger.child({ component: "session-store" });
+
+// Session IDs become file names, so only allow a conservative character set
+function isValidId(id) {
+    return typeof id === "string" && /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/.test(id);
+}
+
+// Session records and transcripts kept in process memory (lost on restart)
+export class MemorySessionStore {
+    constructor() {
+        this.records = new Map();
+        this.transcripts = new Map();
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    list() {
+        return [...this.records.values()];
+    }
+
+    // Insert or update a session record ({ id, model, createdAt, ... })
+    save(record) {
+        const existing = this.records.get(record.id) || {};
+        const updated = { ...existing, ...record, updatedAt: new Date().toISOString() };
+        this.records.set(record.id, updated);
+        return updated;
+    }
+
+    appendMessage(id, message) {
+        if (!this.transcripts.has(id)) {
+            this.transcripts.set(id, []);
+        }
+        this.transcripts.get(id).push(message);
+    }
+
+    messages(id) {
+        return [...(this.transcripts.get(id) || [])];
+    }
+
+    delete(id) {
+        this.transcripts.delete(id);
+        return this.records.delete(id);
+    }
+}
+
+// One <id>.json metadata file plus an append-only <id>.jsonl transcript per session
+export class FileSessionStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    recordPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    transcriptPath(id) {
+        return path.join(this.dir, `${id}.jsonl`);
+    }
+
+    get(id) {
+        if (!isValidId(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.recordPath(id), "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                log.warn("Could not read session record", { sessionId: id, error: e.message });
+            }
+            return null;
+        }
+    }
+
+    list() {
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dir).filter(name => name.endsWith(".json"));
+        } catch (e) {
+            log.warn("Could not read session store", { error: e.message });
+        }
+        return files
+            .map(name => this.get(name.slice(0, -".json".length)))
+            .filter(Boolean);
+    }
+
+    // Insert or update a session record ({ id, model, createdAt, ... })
+    save(record) {
+        if (!isValidId(record.id)) {
+            throw new Error(`Invalid session ID: ${record.id}`);
+        }
+        const updated = { ...(this.get(record.id) || {}), ...record, updatedAt: new Date().toISOString() };
+        // Write then rename so a crash never leaves a half-written record
+        const tmpPath = `${this.recordPath(record.id)}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(updated, null, 2));
+        fs.renameSync(tmpPath, this.recordPath(record.id));
+        return updated;
+    }
+
+    appendMessage(id, message) {
+        if (!isValidId(id)) {
+            throw new Error(`Invalid session ID: ${id}`);
+        }
+        fs.appendFileSync(this.transcriptPath(id), JSON.stringify(message) + "\n");
+    }
+
+    messages(id) {
+        if (!isValidId(id)) {
+            return [];
+        }
+        let content;
+        try {
+            content = fs.readFileSync(this.transcriptPath(id), "utf8");
+        } catch (e) {
+            return [];
+        }
+        return content
+            .split("\n")
+            .filter(Boolean)
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (e) {
+                    // Skip a line cut short by a crash
+                    return [];
+                }
+            });
+    }
+
+    delete(id) {
+        if (!isValidId(id)) {
+            return false;
+        }
+        const existed = fs.existsSync(this.recordPath(id));
+        fs.rmSync(this.recordPath(id), { force: true });
+        fs.rmSync(this.transcriptPath(id), { force: true });
+        return existed;
+    }
+}
+
+// Pick the backend from SESSION_STORE ("file" by default, or "memory")
+export function createSessionStore({
+    type = process.env.SESSION_STORE || "file",
+    dir,
+} = {}) {
+    if (type === "memory") {
+        return new MemorySessionStore();
+    }
+    if (type === "file") {
+        return new FileSessionStore(dir);
+    }
+    throw new Error(`Unknown SESSION_STORE: ${type}`);
+}
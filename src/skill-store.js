@@ -0,0 +1,243 @@
+import path from 'path';
+import fs from 'fs';
+import logger from './logger.js';
+
+const log = logger.child({ component: "skill-store" });
+
+const SKILL_FILE = "SKILL.md";
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 1024;
+const MAX_FILES = 100;
+
+// Parse the "---" delimited frontmatter at the top of a SKILL.md.
+// Only flat "key: value" pairs are read; nested YAML is skipped.
+export function parseFrontmatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) {
+        return null;
+    }
+    const attributes = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const pair = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+        if (pair) {
+            attributes[pair[1]] = pair[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+        }
+    }
+    return { attributes, body: match[2] };
+}
+
+// Skills on disk: one directory per skill under the skills root, each with a
+// SKILL.md whose frontmatter names and describes the skill
+class SkillStore {
+    constructor(rootDir, { maxBytes = Number(process.env.SKILL_MAX_BYTES) || 1024 * 1024 } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.maxBytes = maxBytes;
+        fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    // Lowercase letters, digits and single hyphens, as the skill's directory name
+    static isValidName(name) {
+        return typeof name === "string"
+            && name.length <= MAX_NAME_LENGTH
+            && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(name);
+    }
+
+    // A "/"-separated path relative to the skill's directory, with no "..", "."
+    // or empty segments
+    static isSafePath(relativePath) {
+        return typeof relativePath === "string"
+            && !relativePath.includes("\0")
+            && !relativePath.includes("\\")
+            && !path.isAbsolute(relativePath)
+            && !relativePath.split("/").some(part => part === "" || part === "." || part === "..");
+    }
+
+    // Resolve a file inside a skill's directory, or null for anything that could escape it
+    resolve(name, relativePath = "") {
+        if (!SkillStore.isValidName(name)) {
+            return null;
+        }
+        const skillDir = path.join(this.rootDir, name);
+        if (relativePath === "") {
+            return skillDir;
+        }
+        if (!SkillStore.isSafePath(relativePath)) {
+            return null;
+        }
+        const filePath = path.resolve(skillDir, relativePath);
+        return filePath.startsWith(skillDir + path.sep) ? filePath : null;
+    }
+
+    // Check an upload ({ path, content, encoding: "utf8" | "base64" } files) without
+    // writing it. Returns { valid, errors, skill }.
+    validate(name, files) {
+        const errors = [];
+        if (!SkillStore.isValidName(name)) {
+            errors.push(`Skill name must be 1-${MAX_NAME_LENGTH} lowercase letters, digits or hyphens`);
+        }
+        if (!Array.isArray(files) || files.length === 0) {
+            return { valid: false, errors: [...errors, "files must be a non-empty array"], skill: null };
+        }
+        if (files.length > MAX_FILES) {
+            errors.push(`A skill may have at most ${MAX_FILES} files`);
+        }
+
+        let totalBytes = 0;
+        const seen = new Set();
+        for (const file of files) {
+            if (!SkillStore.isSafePath(file?.path)) {
+                errors.push(`Invalid file path: ${file?.path}`);
+                continue;
+            }
+            if (seen.has(file.path)) {
+                errors.push(`Duplicate file path: ${file.path}`);
+            }
+            seen.add(file.path);
+            if (typeof file.content !== "string" || (file.encoding && !["utf8", "base64"].includes(file.encoding))) {
+                errors.push(`File ${file.path} needs string content and an encoding of utf8 or base64`);
+                continue;
+            }
+            totalBytes += Buffer.byteLength(file.content, file.encoding || "utf8");
+        }
+        if (totalBytes > this.maxBytes) {
+            errors.push(`Skill is larger than ${this.maxBytes} bytes`);
+        }
+
+        const skillFile = files.find(file => file?.path === SKILL_FILE);
+        if (!skillFile || typeof skillFile.content !== "string") {
+            errors.push(`${SKILL_FILE} is required at the top of the skill`);
+            return { valid: false, errors, skill: null };
+        }
+        const frontmatter = parseFrontmatter(Buffer.from(skillFile.content, skillFile.encoding || "utf8").toString("utf8"));
+        if (!frontmatter) {
+            errors.push(`${SKILL_FILE} must start with a --- frontmatter block`);
+            return { valid: false, errors, skill: null };
+        }
+        const { name: declaredName, description } = frontmatter.attributes;
+        if (declaredName !== name) {
+            errors.push(`${SKILL_FILE} frontmatter name (${declaredName || "missing"}) must match the skill name (${name})`);
+        }
+        if (!description) {
+            errors.push(`${SKILL_FILE} frontmatter needs a description`);
+        } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        if (!frontmatter.body.trim()) {
+            errors.push(`${SKILL_FILE} needs instructions after the frontmatter`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            skill: { name, description: description || null },
+        };
+    }
+
+    // Relative paths of the regular files in a skill's directory
+    files(name) {
+        const skillDir = this.resolve(name);
+        const result = [];
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(entryPath);
+                } else if (entry.isFile()) {
+                    result.push({
+                        path: path.relative(skillDir, entryPath).split(path.sep).join("/"),
+                        size: fs.statSync(entryPath).size,
+                    });
+                }
+            }
+        };
+        walk(skillDir);
+        return result.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // A skill's metadata, SKILL.md content and file list, or null if it does not exist
+    get(name) {
+        const skillDir = this.resolve(name);
+        if (!skillDir || !fs.existsSync(path.join(skillDir, SKILL_FILE))) {
+            return null;
+        }
+        const content = fs.readFileSync(path.join(skillDir, SKILL_FILE), "utf8");
+        const attributes = parseFrontmatter(content)?.attributes || {};
+        return {
+            name,
+            description: attributes.description || null,
+            updatedAt: fs.statSync(skillDir).mtime,
+            content,
+            files: this.files(name),
+        };
+    }
+
+    // Names of the installed skills
+    names() {
+        try {
+            return fs.readdirSync(this.rootDir, { withFileTypes: true })
+                .filter(entry => entry.isDirectory() && SkillStore.isValidName(entry.name))
+                .filter(entry => fs.existsSync(path.join(this.rootDir, entry.name, SKILL_FILE)))
+                .map(entry => entry.name)
+                .sort();
+        } catch (e) {
+            log.warn("Could not read skills dir", { error: e.message });
+            return [];
+        }
+    }
+
+    list() {
+        return this.names().map((name) => {
+            const { content: _content, files, ...skill } = this.get(name);
+            return { ...skill, fileCount: files.length };
+        });
+    }
+
+    // Validate and install a skill, replacing any existing one with the same name.
+    // Throws an error with code INVALID_SKILL (and .errors) if validation fails.
+    save(name, files) {
+        const result = this.validate(name, files);
+        if (!result.valid) {
+            const error = new Error(`Invalid skill: ${result.errors.join("; ")}`);
+            error.code = "INVALID_SKILL";
+            error.errors = result.errors;
+            throw error;
+        }
+
+        // Write into a staging directory, then swap it in so a session never sees
+        // a half-written skill
+        const skillDir = this.resolve(name);
+        const stagingDir = path.join(this.rootDir, `.staging-${name}-${Date.now()}`);
+        const oldDir = path.join(this.rootDir, `.old-${name}-${Date.now()}`);
+        try {
+            for (const file of files) {
+                const target = path.join(stagingDir, ...file.path.split("/"));
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(target, Buffer.from(file.content, file.encoding || "utf8"));
+            }
+            const replaced = fs.existsSync(skillDir);
+            if (replaced) {
+                fs.renameSync(skillDir, oldDir);
+            }
+            fs.renameSync(stagingDir, skillDir);
+            if (replaced) {
+                fs.rmSync(oldDir, { recursive: true, force: true });
+            }
+        } finally {
+            fs.rmSync(stagingDir, { recursive: true, force: true });
+        }
+        log.info("Installed skill", { skill: name });
+        return this.get(name);
+    }
+
+    // Delete a skill; returns false if it did not exist
+    delete(name) {
+        if (!this.get(name)) {
+            return false;
+        }
+        fs.rmSync(this.resolve(name), { recursive: true, force: true });
+        log.info("Deleted skill", { skill: name });
+        return true;
+    }
+}
+
+export default SkillStore;
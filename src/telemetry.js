@@ -0,0 +1,247 @@
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from "prom-client";
+import { trace, context, propagation, SpanKind, SpanStatusCode } from "@opentelemetry/api";
+import { NodeTracerProvider, BatchSpanProcessor } from "@opentelemetry/sdk-trace-node";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { resourceFromAttributes, detectResources, envDetector } from "@opentelemetry/resources";
+import logger from "./logger.js";
+
+const log = logger.child({ component: "telemetry" });
+
+const SERVICE_NAME = "copilot-wrapper-service";
+
+// Latency buckets in seconds; turns and streams run for minutes
+const REQUEST_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const FIRST_TOKEN_BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30, 60];
+
+// Prometheus metrics served on /metrics
+export const registry = new Registry();
+collectDefaultMetrics({ register: registry });
+
+export const metrics = {
+    requests: new Counter({
+        name: "http_requests_total",
+        help: "HTTP requests by route, method, status and model",
+        labelNames: ["method", "route", "status", "model"],
+        registers: [registry],
+    }),
+    requestDuration: new Histogram({
+        name: "http_request_duration_seconds",
+        help: "HTTP request latency (until the response, or stream, ends)",
+        labelNames: ["method", "route", "status", "model"],
+        buckets: REQUEST_BUCKETS,
+        registers: [registry],
+    }),
+    timeToFirstToken: new Histogram({
+        name: "copilot_time_to_first_token_seconds",
+        help: "Time from sending a prompt to its first reasoning or answer token",
+        labelNames: ["model", "source"],
+        buckets: FIRST_TOKEN_BUCKETS,
+        registers: [registry],
+    }),
+    streamDuration: new Histogram({
+        name: "copilot_stream_duration_seconds",
+        help: "Duration of streamed turns and completions by outcome",
+        labelNames: ["model", "source", "status"],
+        buckets: REQUEST_BUCKETS,
+        registers: [registry],
+    }),
+    activeTurns: new Gauge({
+        name: "copilot_active_turns",
+        help: "Session turns in progress",
+        registers: [registry],
+    }),
+    liveSessions: new Gauge({
+        name: "copilot_live_sessions",
+        help: "Live SDK sessions",
+        registers: [registry],
+    }),
+    sessionsCreated: new Counter({
+        name: "copilot_sessions_created_total",
+        help: "SDK sessions created or restored",
+        registers: [registry],
+    }),
+    sessionsEvicted: new Counter({
+        name: "copilot_sessions_evicted_total",
+        help: "SDK sessions evicted by reason",
+        labelNames: ["reason"],
+        registers: [registry],
+    }),
+    toolExecutions: new Counter({
+        name: "copilot_tool_executions_total",
+        help: "Tool executions by tool and outcome",
+        labelNames: ["tool", "status"],
+        registers: [registry],
+    }),
+    toolDuration: new Histogram({
+        name: "copilot_tool_duration_seconds",
+        help: "Tool execution time",
+        labelNames: ["tool"],
+        buckets: REQUEST_BUCKETS,
+        registers: [registry],
+    }),
+    artifacts: new Counter({
+        name: "copilot_artifacts_total",
+        help: "Files generated into session output directories",
+        registers: [registry],
+    }),
+    artifactBytes: new Counter({
+        name: "copilot_artifact_bytes_total",
+        help: "Size of the generated files",
+        registers: [registry],
+    }),
+    sdkErrors: new Counter({
+        name: "copilot_sdk_errors_total",
+        help: "Errors reported by the Copilot SDK by type",
+        labelNames: ["type"],
+        registers: [registry],
+    }),
+    tokens: new Counter({
+        name: "copilot_tokens_total",
+        help: "Tokens used by model and kind (input, output, cache_read, cache_write)",
+        labelNames: ["model", "kind"],
+        registers: [registry],
+    }),
+    premiumRequests: new Counter({
+        name: "copilot_premium_requests_total",
+        help: "Premium requests used by model",
+        labelNames: ["model"],
+        registers: [registry],
+    }),
+    rateLimited: new Counter({
+        name: "copilot_rate_limited_total",
+        help: "Requests turned away with 429 by limit (rate, streams, queue)",
+        labelNames: ["limit"],
+        registers: [registry],
+    }),
+    queuedRequests: new Gauge({
+        name: "copilot_queued_requests",
+        help: "Requests waiting for a model's concurrency limit",
+        labelNames: ["model"],
+        registers: [registry],
+    }),
+    responseCache: new Counter({
+        name: "copilot_response_cache_lookups_total",
+        help: "Response cache lookups by result (hit, miss)",
+        labelNames: ["result"],
+        registers: [registry],
+    }),
+    batchItems: new Gauge({
+        name: "copilot_batch_items",
+        help: "Batch prompts waiting or running",
+        labelNames: ["state"],
+        registers: [registry],
+    }),
+    batchItemsFinished: new Counter({
+        name: "copilot_batch_items_finished_total",
+        help: "Batch prompts finished by status",
+        labelNames: ["status"],
+        registers: [registry],
+    }),
+};
+
+// Type label of an SDK failure: the session.error event's errorType, or the
+// thrown error's code
+export function sdkErrorType(error) {
+    return error?.errorType || error?.code || "unknown";
+}
+
+export const tracer = trace.getTracer(SERVICE_NAME);
+
+let tracerProvider = null;
+
+// Export spans over OTLP/HTTP when OTEL_EXPORTER_OTLP_ENDPOINT (or
+// OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) is set; spans are no-ops otherwise. The
+// exporter and resource read the other standard OTEL_* variables themselves.
+export function startTracing() {
+    const endpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    if (tracerProvider || !endpoint || process.env.OTEL_SDK_DISABLED === "true") {
+        return tracerProvider;
+    }
+    tracerProvider = new NodeTracerProvider({
+        resource: resourceFromAttributes({ "service.name": SERVICE_NAME })
+            .merge(detectResources({ detectors: [envDetector] })),
+        spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())],
+    });
+    tracerProvider.register();
+    log.info("Exporting traces", { endpoint });
+    return tracerProvider;
+}
+
+// Flush and stop the span exporter
+export async function stopTracing() {
+    if (tracerProvider) {
+        try {
+            await tracerProvider.shutdown();
+        } catch (e) {
+            log.warn("Could not flush traces", { error: e.message });
+        }
+        tracerProvider = null;
+    }
+}
+
+// Mark a span as failed
+export function recordSpanError(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+// Run fn(span) in a new active span that ends when fn settles
+export async function withSpan(name, attributes, fn) {
+    return await tracer.startActiveSpan(name, { attributes }, async (span) => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            recordSpanError(span, error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+// Child span of parent (a span) that the caller ends
+export function startChildSpan(name, attributes, parent) {
+    return tracer.startSpan(name, { attributes }, parent ? trace.setSpan(context.active(), parent) : context.active());
+}
+
+// Route template of a handled request ("/api/session/:sessionId"), so metric
+// labels stay bounded; static files and unknown paths are "other"
+function routeOf(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : "other";
+}
+
+// Express middleware: a server span (continuing an incoming traceparent) and
+// request metrics for every request. Handlers set res.locals.model once they know
+// which model a request uses; models knownModel(id) rejects are labelled "other",
+// so clients cannot add label values.
+export function requestTelemetry({ knownModel = () => true } = {}) {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        const parent = propagation.extract(context.active(), req.headers);
+        tracer.startActiveSpan(`${req.method} ${req.path}`, {
+            kind: SpanKind.SERVER,
+            attributes: { "http.request.method": req.method, "url.path": req.path },
+        }, parent, (span) => {
+            res.once("close", () => {
+                const route = routeOf(req);
+                const model = res.locals.model ? (knownModel(res.locals.model) ? res.locals.model : "other") : "";
+                const labels = { method: req.method, route, status: String(res.statusCode), model };
+                metrics.requests.inc(labels);
+                metrics.requestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+
+                span.updateName(`${req.method} ${route}`);
+                span.setAttributes({
+                    "http.route": route,
+                    "http.response.status_code": res.statusCode,
+                    ...(req.user ? { "enduser.id": req.user.id } : {}),
+                    ...(res.locals.model ? { "copilot.model": res.locals.model } : {}),
+                });
+                if (res.statusCode >= 500) {
+                    span.setStatus({ code: SpanStatusCode.ERROR });
+                }
+                span.end();
+            });
+            next();
+        });
+    };
+}
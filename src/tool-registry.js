@@ -0,0 +1,167 @@
+import path from 'path';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import logger from './logger.js';
+
+const log = logger.child({ component: "tool-registry" });
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+// How much of a tool's result is kept for logs and stream events
+const MAX_RESULT_CHARS = 2000;
+
+// Text the model gets back from a tool's return value
+function resultText(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+export function truncateResult(text) {
+    if (typeof text !== "string") {
+        return null;
+    }
+    return text.length > MAX_RESULT_CHARS ? `${text.substring(0, MAX_RESULT_CHARS)}…` : text;
+}
+
+// Server-side tools offered to Copilot sessions. Each .js/.mjs module in the tools
+// directory default-exports:
+//   { name, description, parameters (JSON schema), handler: async (args, context) => result,
+//     timeoutMs?, skipPermission? }
+// context is { sessionId, toolCallId, signal }: sessionId is the API session's ID (null
+// for one-shot prompts), signal is aborted when the call times out.
+class ToolRegistry {
+    constructor(dir, { defaultTimeoutMs = Number(process.env.TOOL_TIMEOUT_MS) || 30000 } = {}) {
+        this.dir = path.resolve(dir);
+        this.defaultTimeoutMs = defaultTimeoutMs;
+        this.tools = new Map();
+        this.loaded = null;
+    }
+
+    // Import every tool module once; invalid modules are logged and skipped
+    load() {
+        if (!this.loaded) {
+            this.loaded = (async () => {
+                let files = [];
+                try {
+                    files = fs.readdirSync(this.dir).filter(name => /\.m?js$/.test(name)).sort();
+                } catch (e) {
+                    if (e.code !== "ENOENT") {
+                        log.warn("Could not read tools dir", { error: e.message });
+                    }
+                }
+                for (const file of files) {
+                    try {
+                        const module = await import(pathToFileURL(path.join(this.dir, file)).href);
+                        this.register(module.default);
+                    } catch (e) {
+                        log.error("Could not load tool", { file, error: e.message });
+                    }
+                }
+                log.info("Loaded custom tools", { count: this.tools.size, dir: this.dir });
+            })();
+        }
+        return this.loaded;
+    }
+
+    // Add a tool definition; throws if it is malformed or its name is taken
+    register(tool) {
+        if (!tool || typeof tool !== "object") {
+            throw new Error("Tool module must default-export a tool definition");
+        }
+        if (!TOOL_NAME_PATTERN.test(tool.name || "")) {
+            throw new Error(`Invalid tool name: ${tool.name}`);
+        }
+        if (typeof tool.description !== "string" || !tool.description) {
+            throw new Error(`Tool ${tool.name} needs a description`);
+        }
+        if (typeof tool.handler !== "function") {
+            throw new Error(`Tool ${tool.name} needs a handler function`);
+        }
+        if (tool.parameters !== undefined && (typeof tool.parameters !== "object" || tool.parameters.type !== "object")) {
+            throw new Error(`Tool ${tool.name} parameters must be a JSON schema of type "object"`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Duplicate tool name: ${tool.name}`);
+        }
+        this.tools.set(tool.name, tool);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    list() {
+        return [...this.tools.values()].map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: "object", properties: {} },
+            timeoutMs: tool.timeoutMs || this.defaultTimeoutMs,
+        }));
+    }
+
+    // Run a tool with its timeout. Never throws: failures and timeouts become a
+    // result the model can read ({ textResultForLlm, resultType, error }).
+    async invoke(name, args, { sessionId = null, toolCallId = null } = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return { textResultForLlm: `Unknown tool: ${name}`, resultType: "failure", error: `Unknown tool: ${name}` };
+        }
+
+        const missing = (tool.parameters?.required || []).filter(key => args?.[key] === undefined);
+        if (missing.length > 0) {
+            const error = `Missing required argument(s): ${missing.join(", ")}`;
+            return { textResultForLlm: error, resultType: "failure", error };
+        }
+
+        const timeoutMs = tool.timeoutMs || this.defaultTimeoutMs;
+        const controller = new AbortController();
+        let timeoutId = null;
+        const startedAt = Date.now();
+        try {
+            const result = await Promise.race([
+                Promise.resolve().then(() => tool.handler(args ?? {}, { sessionId, toolCallId, signal: controller.signal })),
+                new Promise((_, reject) => {
+                    timeoutId = setTimeout(() => {
+                        const error = new Error(`Tool ${name} timed out after ${timeoutMs}ms`);
+                        error.code = "TOOL_TIMEOUT";
+                        reject(error);
+                    }, timeoutMs);
+                }),
+            ]);
+            log.debug("Tool finished", { tool: name, durationMs: Date.now() - startedAt });
+            return { textResultForLlm: resultText(result), resultType: "success" };
+        } catch (error) {
+            const timedOut = error.code === "TOOL_TIMEOUT";
+            if (timedOut) {
+                controller.abort();
+            }
+            log.error("Tool failed", { tool: name, error: error.message });
+            return {
+                textResultForLlm: `Tool ${name} failed: ${error.message}`,
+                resultType: timedOut ? "timeout" : "failure",
+                error: error.message,
+            };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Tool definitions for an SDK session config. sessionId is the API session the
+    // tools are for (null for one-shot prompts); handlers get it instead of the SDK's
+    // own session ID, so calls can be matched with the API and approval events.
+    sdkTools(sessionId = null) {
+        return [...this.tools.values()].map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: "object", properties: {} },
+            skipPermission: Boolean(tool.skipPermission),
+            handler: (args, invocation) => this.invoke(tool.name, args, {
+                sessionId,
+                toolCallId: invocation?.toolCallId,
+            }),
+        }));
+    }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,273 @@
+import path from 'path';
+import fs from 'fs';
+import logger from './logger.js';
+
+const log = logger.child({ component: "usage-store" });
+
+const GROUP_BY = ["user", "session", "model", "day"];
+const TOTAL_FIELDS = ["turns", "apiCalls", "inputTokens", "outputTokens", "cacheReadTokens", "cacheWriteTokens", "durationMs", "premiumRequests"];
+
+function usageError(message) {
+    const error = new Error(message);
+    error.code = "INVALID_USAGE_QUERY";
+    return error;
+}
+
+// Daily budget from USAGE_DAILY_BUDGET: unset or empty is unlimited (null), 0 allows
+// no premium requests at all
+function parseBudget(text) {
+    if (text === undefined || text === "") {
+        return null;
+    }
+    const budget = Number(text);
+    if (!Number.isFinite(budget) || budget < 0) {
+        throw new Error(`Invalid USAGE_DAILY_BUDGET: ${text}`);
+    }
+    return budget;
+}
+
+// Per-user daily budgets from USAGE_BUDGETS ({"alice": 50, ...} as JSON)
+function parseBudgets(text) {
+    if (!text) {
+        return {};
+    }
+    const budgets = JSON.parse(text);
+    for (const [user, budget] of Object.entries(budgets)) {
+        if (typeof budget !== "number" || budget < 0) {
+            throw new Error(`Invalid usage budget for ${user}: ${budget}`);
+        }
+    }
+    return budgets;
+}
+
+// Start of the UTC day of date
+function utcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Start of the next UTC day after date
+function nextUtcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+// Token counts of one turn (or one-shot completion), summed over its assistant.usage events
+export function emptyUsage() {
+    return { apiCalls: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, durationMs: 0, model: null };
+}
+
+// Add an assistant.usage event's data to a tally from emptyUsage()
+export function addUsage(usage, data = {}) {
+    usage.apiCalls++;
+    usage.inputTokens += data.inputTokens || 0;
+    usage.outputTokens += data.outputTokens || 0;
+    usage.cacheReadTokens += data.cacheReadTokens || 0;
+    usage.cacheWriteTokens += data.cacheWriteTokens || 0;
+    usage.durationMs += data.duration || 0;
+    usage.model = data.model || usage.model;
+    return usage;
+}
+
+// Token and premium request accounting. Every turn, one-shot completion and batch
+// prompt adds one line to an append-only JSON Lines file:
+// { timestamp, owner, sessionId, source, model, turns, apiCalls, inputTokens,
+//   outputTokens, cacheReadTokens, cacheWriteTokens, durationMs, premiumRequests }
+// The entries are also kept in memory for reports: the last detailDays days turn
+// by turn, older ones rolled up into one entry per UTC day, owner, session, source
+// and model (turns counts the turns it stands for). Budget checks use running
+// per-owner totals of the current UTC day.
+class UsageStore {
+    constructor(file, {
+        dailyBudget = parseBudget(process.env.USAGE_DAILY_BUDGET),
+        budgets = parseBudgets(process.env.USAGE_BUDGETS),
+        detailDays = Number(process.env.USAGE_DETAIL_DAYS) || 31,
+    } = {}) {
+        this.file = path.resolve(file);
+        this.dailyBudget = dailyBudget; // Premium requests per user and UTC day (null: unlimited)
+        this.budgets = budgets; // Per-user overrides of dailyBudget
+        this.detailDays = detailDays;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.entries = this.load();
+        this.today = { day: null, used: new Map() }; // Premium requests by owner on day
+        for (const entry of this.entries) {
+            this.countToday(entry);
+        }
+        this.rollUp();
+    }
+
+    load() {
+        let content;
+        try {
+            content = fs.readFileSync(this.file, "utf8");
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                log.warn("Could not read usage file", { file: this.file, error: e.message });
+            }
+            return [];
+        }
+        return content
+            .split("\n")
+            .filter(Boolean)
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (e) {
+                    // Skip a line cut short by a crash
+                    return [];
+                }
+            });
+    }
+
+    // Store the usage of one turn. premiumMultiplier is the model's multiplier from
+    // the model catalog: a turn that reached the model costs that many premium requests.
+    record({ owner = null, sessionId = null, source, usage, premiumMultiplier = 1 }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            owner,
+            sessionId,
+            source,
+            model: usage.model,
+            turns: 1,
+            apiCalls: usage.apiCalls,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cacheReadTokens: usage.cacheReadTokens,
+            cacheWriteTokens: usage.cacheWriteTokens,
+            durationMs: usage.durationMs,
+            premiumRequests: usage.apiCalls > 0 ? premiumMultiplier : 0,
+        };
+        this.entries.push(entry);
+        this.countToday(entry);
+        if (this.today.day !== this.rolledUpDay) {
+            this.rollUp();
+        }
+        try {
+            fs.appendFileSync(this.file, JSON.stringify(entry) + "\n");
+        } catch (e) {
+            log.warn("Could not write usage entry", { error: e.message });
+        }
+        return entry;
+    }
+
+    // Add an entry to the running totals of the current UTC day (starting a new
+    // day's totals when the day changed)
+    countToday(entry, now = new Date()) {
+        const day = utcDay(now).toISOString();
+        if (this.today.day !== day) {
+            this.today = { day, used: new Map() };
+        }
+        if (Date.parse(entry.timestamp) >= Date.parse(day)) {
+            this.today.used.set(entry.owner, (this.today.used.get(entry.owner) || 0) + (entry.premiumRequests || 0));
+        }
+    }
+
+    // Roll up entries older than detailDays days (done once a day; the file keeps
+    // every entry)
+    rollUp(now = new Date()) {
+        const cutoff = utcDay(now).getTime() - this.detailDays * 24 * 60 * 60 * 1000;
+        const rolled = new Map();
+        const recent = [];
+        for (const entry of this.entries) {
+            if (Date.parse(entry.timestamp) >= cutoff) {
+                recent.push(entry);
+                continue;
+            }
+            const day = entry.timestamp.substring(0, 10);
+            const key = JSON.stringify([day, entry.owner, entry.sessionId, entry.source, entry.model]);
+            if (!rolled.has(key)) {
+                rolled.set(key, {
+                    timestamp: `${day}T00:00:00.000Z`,
+                    owner: entry.owner ?? null,
+                    sessionId: entry.sessionId ?? null,
+                    source: entry.source ?? null,
+                    model: entry.model ?? null,
+                    ...UsageStore.emptyTotals(),
+                });
+            }
+            UsageStore.addTotals(rolled.get(key), entry);
+        }
+        this.entries = [...rolled.values(), ...recent];
+        this.rolledUpDay = utcDay(now).toISOString();
+    }
+
+    // Entries between from (inclusive) and to (exclusive), optionally of one owner
+    query({ from = null, to = null, owner } = {}) {
+        const fromTime = from ? from.getTime() : -Infinity;
+        const toTime = to ? to.getTime() : Infinity;
+        return this.entries.filter((entry) => {
+            const time = Date.parse(entry.timestamp);
+            return time >= fromTime && time < toTime && (owner === undefined || entry.owner === owner);
+        });
+    }
+
+    // Totals per user, session, model or day (null: one overall total), largest
+    // premium request count first. Throws INVALID_USAGE_QUERY for an unknown groupBy.
+    summarize({ from, to, owner, groupBy = null } = {}) {
+        if (groupBy !== null && !GROUP_BY.includes(groupBy)) {
+            throw usageError(`groupBy must be one of ${GROUP_BY.join(", ")}`);
+        }
+        const keyOf = {
+            user: entry => entry.owner,
+            session: entry => entry.sessionId,
+            model: entry => entry.model,
+            day: entry => entry.timestamp.substring(0, 10),
+        }[groupBy];
+
+        const total = UsageStore.emptyTotals();
+        const groups = new Map();
+        for (const entry of this.query({ from, to, owner })) {
+            UsageStore.addTotals(total, entry);
+            if (keyOf) {
+                const key = keyOf(entry) ?? null;
+                if (!groups.has(key)) {
+                    groups.set(key, UsageStore.emptyTotals());
+                }
+                UsageStore.addTotals(groups.get(key), entry);
+            }
+        }
+        return {
+            total,
+            groups: [...groups].map(([key, totals]) => ({ key, ...totals }))
+                .sort((a, b) => b.premiumRequests - a.premiumRequests || String(a.key).localeCompare(String(b.key))),
+        };
+    }
+
+    static emptyTotals() {
+        return Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]));
+    }
+
+    static addTotals(totals, entry) {
+        for (const field of TOTAL_FIELDS) {
+            totals[field] += entry[field] || 0;
+        }
+    }
+
+    // Daily budget of a user in premium requests, or null if unlimited
+    budgetOf(owner) {
+        return this.budgets[owner] ?? this.dailyBudget;
+    }
+
+    // { budget, used, remaining, resetAt } for today (UTC), or null without a budget
+    budgetStatus(owner, now = new Date()) {
+        const budget = this.budgetOf(owner);
+        if (budget === null || budget === undefined) {
+            return null;
+        }
+        const used = this.today.day === utcDay(now).toISOString() ? this.today.used.get(owner) || 0 : 0;
+        return { budget, used, remaining: Math.max(0, budget - used), resetAt: nextUtcDay(now).toISOString() };
+    }
+
+    // Rows of summarize() as CSV, with a header line
+    static toCsv({ total, groups }, groupBy) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? "" : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = groupBy ? groups : [{ key: "total", ...total }];
+        return [
+            [groupBy || "total", ...TOTAL_FIELDS].join(","),
+            ...rows.map(row => [row.key, ...TOTAL_FIELDS.map(field => row[field])].map(escape).join(",")),
+        ].join("\n") + "\n";
+    }
+}
+
+export default UsageStore;
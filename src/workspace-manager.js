@@ -0,0 +1,232 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import logger from './logger.js';
+
+const log = logger.child({ component: "workspace-manager" });
+
+// Largest unified diff returned for a turn; longer diffs are cut off
+const MAX_DIFF_CHARS = Number(process.env.WORKSPACE_MAX_DIFF_CHARS) || 1024 * 1024;
+const GIT_TIMEOUT_MS = 60000;
+
+const CHANGE_STATUS = { A: "added", M: "modified", D: "deleted", T: "modified" };
+
+function workspaceError(message) {
+    const error = new Error(message);
+    error.code = "INVALID_WORKSPACE";
+    return error;
+}
+
+// Run git without a shell; resolves with stdout
+function git(args, { cwd, env = process.env } = {}) {
+    return new Promise((resolve, reject) => {
+        execFile("git", args, { cwd, env, timeout: GIT_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `git ${args[0]} failed: ${(stderr || error.message).trim()}`;
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// Git repositories a session can be bound to as its working directory. Admins list
+// the allowed roots in WORKSPACE_ROOTS (comma-separated directories); a workspace is
+// a repository at or below one of them. Local clones are used in place, by one live
+// session at a time (their per-turn snapshots would otherwise pick up each other's
+// edits); bare repositories are checked out into a temporary worktree per session.
+class WorkspaceManager {
+    constructor({
+        roots = (process.env.WORKSPACE_ROOTS || "").split(",").map(root => root.trim()).filter(Boolean),
+        worktreeDir = process.env.WORKSPACE_WORKTREE_DIR || path.join(os.tmpdir(), "copilot-worktrees"),
+    } = {}) {
+        this.roots = roots.map(root => path.resolve(root));
+        this.worktreeDir = path.resolve(worktreeDir);
+        this.clonesInUse = new Map(); // clone path -> workspace opened on it
+    }
+
+    get enabled() {
+        return this.roots.length > 0;
+    }
+
+    // Real path of a root, or null if it does not exist
+    static realRoot(root) {
+        try {
+            return fs.realpathSync(root);
+        } catch (e) {
+            log.warn("Workspace root is not available", { root, error: e.message });
+            return null;
+        }
+    }
+
+    // "bare", "clone" or null (not a repository) for a directory
+    static async repositoryKind(dir) {
+        try {
+            const bare = (await git(["rev-parse", "--is-bare-repository"], { cwd: dir })).trim();
+            return bare === "true" ? "bare" : "clone";
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Repositories under the configured roots: each root itself if it is one,
+    // otherwise the repositories directly inside it
+    async list() {
+        const workspaces = [];
+        for (const root of this.roots) {
+            const realRoot = WorkspaceManager.realRoot(root);
+            if (!realRoot) {
+                continue;
+            }
+            const rootKind = await WorkspaceManager.repositoryKind(realRoot);
+            if (rootKind) {
+                workspaces.push({ name: path.basename(realRoot), path: realRoot, bare: rootKind === "bare" });
+                continue;
+            }
+            for (const entry of fs.readdirSync(realRoot, { withFileTypes: true })) {
+                if (!entry.isDirectory() || entry.name.startsWith(".")) {
+                    continue;
+                }
+                const dir = path.join(realRoot, entry.name);
+                const kind = await WorkspaceManager.repositoryKind(dir);
+                if (kind) {
+                    workspaces.push({ name: entry.name, path: dir, bare: kind === "bare" });
+                }
+            }
+        }
+        return workspaces.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // Check that a requested directory is a repository inside an allowed root (and,
+    // for a bare repository, that ref exists). Resolves with { path, bare }; throws
+    // an error with code INVALID_WORKSPACE.
+    async resolve(requested, { ref = null } = {}) {
+        if (!this.enabled) {
+            throw workspaceError("No workspace roots are configured (WORKSPACE_ROOTS)");
+        }
+        if (typeof requested !== "string" || !path.isAbsolute(requested)) {
+            throw workspaceError("workspace must be an absolute path");
+        }
+        let realPath;
+        try {
+            realPath = fs.realpathSync(requested);
+        } catch (e) {
+            throw workspaceError(`Workspace not found: ${requested}`);
+        }
+        const allowed = this.roots
+            .map(root => WorkspaceManager.realRoot(root))
+            .some(root => root && (realPath === root || realPath.startsWith(root + path.sep)));
+        if (!allowed) {
+            throw workspaceError(`Workspace is outside the allowed roots: ${requested}`);
+        }
+        const kind = await WorkspaceManager.repositoryKind(realPath);
+        if (!kind) {
+            throw workspaceError(`Workspace is not a git repository: ${requested}`);
+        }
+        if (kind === "bare" && ref) {
+            try {
+                await git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { cwd: realPath });
+            } catch (e) {
+                throw workspaceError(`Unknown ref ${ref} in ${requested}`);
+            }
+        }
+        return { path: realPath, bare: kind === "bare" };
+    }
+
+    // Directory a session works in: the clone itself, or a new detached worktree of
+    // a bare repository at ref (default HEAD). Resolves with
+    // { source, path, worktree, ref }; release() removes the worktree or frees the
+    // clone again. Throws WORKSPACE_BUSY while another session works in the clone.
+    async open(requested, { ref = null, sessionId = crypto.randomUUID() } = {}) {
+        const { path: source, bare } = await this.resolve(requested, { ref });
+        if (!bare) {
+            if (this.clonesInUse.has(source)) {
+                const error = new Error(`${source} is in use by another session; use a bare repository to work on it in parallel`);
+                error.code = "WORKSPACE_BUSY";
+                throw error;
+            }
+            const workspace = { source, path: source, worktree: false, ref: null };
+            this.clonesInUse.set(source, workspace);
+            return workspace;
+        }
+
+        fs.mkdirSync(this.worktreeDir, { recursive: true });
+        const dir = path.join(this.worktreeDir, `${sessionId}-${crypto.randomBytes(4).toString("hex")}`);
+        try {
+            await git(["worktree", "add", "--detach", dir, ref || "HEAD"], { cwd: source });
+        } catch (e) {
+            throw workspaceError(`Could not check out ${ref || "HEAD"} of ${source}: ${e.message}`);
+        }
+        log.info("Checked out worktree", { source, ref: ref || "HEAD", path: dir });
+        return { source, path: dir, worktree: true, ref: ref || "HEAD" };
+    }
+
+    // Remove a session's temporary worktree, or free its clone for other sessions
+    async release(workspace) {
+        if (!workspace) {
+            return;
+        }
+        if (!workspace.worktree) {
+            if (this.clonesInUse.get(workspace.path) === workspace) {
+                this.clonesInUse.delete(workspace.path);
+            }
+            return;
+        }
+        try {
+            await git(["worktree", "remove", "--force", workspace.path], { cwd: workspace.source });
+            log.info("Removed worktree", { path: workspace.path });
+        } catch (e) {
+            log.warn("Could not remove worktree", { path: workspace.path, error: e.message });
+            fs.rmSync(workspace.path, { recursive: true, force: true });
+        }
+    }
+
+    // Tree object of everything in the working directory (tracked and untracked,
+    // minus ignored files), written through a scratch index so the repository's own
+    // index and staging area are untouched. Resolves with the tree's hash.
+    async snapshot(dir) {
+        const indexFile = path.join(os.tmpdir(), `copilot-index-${crypto.randomUUID()}`);
+        try {
+            // Start from a copy of the real index so unchanged files are not rehashed
+            const realIndex = path.resolve(dir, (await git(["rev-parse", "--git-path", "index"], { cwd: dir })).trim());
+            if (fs.existsSync(realIndex)) {
+                fs.copyFileSync(realIndex, indexFile);
+            }
+            const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+            await git(["add", "--all", "--", "."], { cwd: dir, env });
+            return (await git(["write-tree"], { cwd: dir, env })).trim();
+        } finally {
+            fs.rmSync(indexFile, { force: true });
+        }
+    }
+
+    // Files that differ between two snapshots: [{ path, status }]
+    async changedFiles(dir, before, after) {
+        if (before === after) {
+            return [];
+        }
+        const output = await git(["diff", "--name-status", "--no-renames", "-z", before, after], { cwd: dir });
+        const parts = output.split("\0").filter(Boolean);
+        const files = [];
+        for (let i = 0; i + 1 < parts.length; i += 2) {
+            files.push({ path: parts[i + 1], status: CHANGE_STATUS[parts[i][0]] || "modified" });
+        }
+        return files;
+    }
+
+    // Unified diff between two snapshots: { diff, truncated }
+    async diff(dir, before, after) {
+        if (before === after) {
+            return { diff: "", truncated: false };
+        }
+        const diff = await git(["diff", "--no-color", "--no-ext-diff", "--no-renames", before, after], { cwd: dir });
+        return diff.length > MAX_DIFF_CHARS
+            ? { diff: diff.substring(0, MAX_DIFF_CHARS), truncated: true }
+            : { diff, truncated: false };
+    }
+}
+
+export default WorkspaceManager;
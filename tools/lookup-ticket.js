@@ -0,0 +1,41 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+// Example tool: looks up tickets in a local JSON file standing in for an issue tracker
+const TICKETS_FILE = process.env.TICKETS_FILE
+    || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'tickets.json');
+
+export default {
+    name: "lookup_ticket",
+    description: "Look up tickets in the team's issue tracker, by ticket ID or by searching titles and descriptions.",
+    parameters: {
+        type: "object",
+        properties: {
+            id: { type: "string", description: "Ticket ID, e.g. OPS-101" },
+            query: { type: "string", description: "Words to search for in ticket titles and descriptions" },
+            status: { type: "string", enum: ["open", "in_progress", "closed"], description: "Only return tickets with this status" },
+        },
+    },
+    timeoutMs: 5000,
+    skipPermission: true,
+
+    async handler({ id, query, status }) {
+        const tickets = JSON.parse(await fs.readFile(TICKETS_FILE, "utf8"));
+
+        if (id) {
+            const ticket = tickets.find(t => t.id.toLowerCase() === id.toLowerCase());
+            if (!ticket) {
+                throw new Error(`Ticket ${id} not found`);
+            }
+            return ticket;
+        }
+
+        const words = (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = tickets
+            .filter(t => !status || t.status === status)
+            .filter(t => words.every(word => `${t.title} ${t.description}`.toLowerCase().includes(word)))
+            .map(({ id, title, status, priority, assignee }) => ({ id, title, status, priority, assignee }));
+        return { count: matches.length, tickets: matches };
+    },
+};